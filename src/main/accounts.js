@@ -0,0 +1,385 @@
+/**
+ * WhatsApp Dual - Account Registry Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module manages the persisted list of WhatsApp accounts.
+ * Every other part of the app (views, menu, tray, security) iterates
+ * over this registry instead of referring to hard-coded account ids.
+ *
+ * Features:
+ * - Seeded with the built-in Personal and Business accounts on first run
+ * - Add, remove, rename and reorder accounts
+ * - Each account gets its own persist: session partition
+ * - Localized labels for built-in accounts that have not been renamed
+ * - Optional accent colour and emoji per account, so several numbers
+ *   can be told apart at a glance in the title bar, menu, tray and
+ *   lock screen
+ *
+ * Storage Format (electron-store key 'accounts'):
+ * [
+ *   { id: 'personal', partition: 'persist:whatsapp-personal', name: null, paletteIndex: 0 },
+ *   { id: 'a1b2c3d4', partition: 'persist:whatsapp-a1b2c3d4', name: 'Support',
+ *     paletteIndex: 2, color: '#3478f6', emoji: '🛠️' }
+ * ]
+ *
+ * color and emoji are optional; without a colour the account uses its
+ * default palette colour. paletteIndex is assigned when the account is
+ * created (the first palette colour no other account uses), so the
+ * default colour stays the same when accounts are reordered or removed.
+ */
+
+const crypto = require('crypto');
+const Store = require('electron-store');
+const { ACCOUNTS, ACCOUNT_COLORS } = require('../shared/constants');
+const i18n = require('../shared/i18n');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {string} Storage key for the account registry */
+const STORE_KEY = 'accounts';
+
+/** @type {number} Maximum length of a custom account name */
+const MAX_NAME_LENGTH = 40;
+
+/** @type {number} Maximum emoji length in code points (allows ZWJ sequences and skin tones) */
+const MAX_EMOJI_LENGTH = 8;
+
+/** @type {RegExp} Accepted custom colour format */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// =============================================================================
+// Registry Access
+// =============================================================================
+
+/**
+ * Builds the initial registry from the built-in account definitions.
+ *
+ * Built-in accounts keep their original partitions so existing
+ * sessions survive the upgrade from the fixed Personal/Business pair.
+ *
+ * @returns {Object[]} Default account list
+ */
+function getDefaultAccounts() {
+  return Object.values(ACCOUNTS).map((account, index) => ({
+    id: account.id,
+    partition: account.partition,
+    name: null,
+    paletteIndex: index
+  }));
+}
+
+/**
+ * Returns all registered accounts in display order.
+ *
+ * Registries saved before accounts had a palette index get one from
+ * their current position, so every account keeps the colour it had.
+ *
+ * @returns {Object[]} Array of { id, partition, name, paletteIndex } objects
+ */
+function getAccounts() {
+  const accounts = store.get(STORE_KEY);
+
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    const defaults = getDefaultAccounts();
+    store.set(STORE_KEY, defaults);
+    return defaults;
+  }
+
+  if (accounts.some(account => !Number.isInteger(account.paletteIndex))) {
+    const migrated = accounts.map((account, index) => (
+      Number.isInteger(account.paletteIndex) ? account : { ...account, paletteIndex: index % ACCOUNT_COLORS.length }
+    ));
+    store.set(STORE_KEY, migrated);
+    return migrated;
+  }
+
+  return accounts;
+}
+
+/**
+ * Returns a single account by id.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {Object|null} The account or null if not registered
+ */
+function getAccount(accountId) {
+  return getAccounts().find(account => account.id === accountId) || null;
+}
+
+/**
+ * Returns the id of the first account in the registry.
+ *
+ * Used as the fallback whenever a stored account id no longer exists.
+ *
+ * @returns {string} First account id
+ */
+function getFirstAccountId() {
+  return getAccounts()[0].id;
+}
+
+/**
+ * Returns the display label for an account.
+ *
+ * Custom names take precedence. Built-in accounts without a custom
+ * name use the translated label so they follow the language setting.
+ *
+ * @param {Object|string} account - Account object or id
+ * @returns {string} Display label
+ */
+function getAccountLabel(account) {
+  const entry = typeof account === 'string' ? getAccount(account) : account;
+  if (!entry) return '';
+  if (entry.name) return entry.name;
+  return i18n.t(`accounts.${entry.id}`, entry.id);
+}
+
+/**
+ * Returns the colour used to identify an account.
+ *
+ * A custom colour takes precedence; otherwise the colour comes from the
+ * default palette by the account's palette index.
+ *
+ * @param {Object|string} account - Account object or id
+ * @returns {string} Hex colour (#rrggbb)
+ */
+function getAccountColor(account) {
+  const entry = getAccount(typeof account === 'string' ? account : account.id);
+  if (!entry) return ACCOUNT_COLORS[0];
+
+  if (COLOR_PATTERN.test(entry.color || '')) {
+    return entry.color;
+  }
+  return ACCOUNT_COLORS[entry.paletteIndex % ACCOUNT_COLORS.length];
+}
+
+/**
+ * Returns the emoji chosen for an account.
+ *
+ * @param {Object|string} account - Account object or id
+ * @returns {string} Emoji, or an empty string if none is set
+ */
+function getAccountEmoji(account) {
+  const entry = typeof account === 'string' ? getAccount(account) : account;
+  return (entry && entry.emoji) || '';
+}
+
+/**
+ * Returns the label prefixed with the account's emoji, e.g. "💼 Business".
+ *
+ * Used wherever an account is shown as plain text: window titles,
+ * menu and tray entries.
+ *
+ * @param {Object|string} account - Account object or id
+ * @returns {string} Display name
+ */
+function getAccountDisplayName(account) {
+  const label = getAccountLabel(account);
+  const emoji = getAccountEmoji(account);
+  return emoji ? `${emoji} ${label}` : label;
+}
+
+/**
+ * Persists the account list.
+ *
+ * @param {Object[]} accounts - Account list to save
+ * @returns {void}
+ */
+function saveAccounts(accounts) {
+  store.set(STORE_KEY, accounts);
+}
+
+/**
+ * Picks the palette colour for a new account: the first one no other
+ * account uses, or the least used one once the palette is exhausted.
+ *
+ * @param {Object[]} accounts - Current account list
+ * @returns {number} Index into ACCOUNT_COLORS
+ */
+function getFreePaletteIndex(accounts) {
+  const usage = ACCOUNT_COLORS.map(() => 0);
+  accounts.forEach(account => {
+    usage[account.paletteIndex % ACCOUNT_COLORS.length]++;
+  });
+  return usage.indexOf(Math.min(...usage));
+}
+
+/**
+ * Trims and truncates a user-provided account name.
+ *
+ * @param {string} name - Raw name
+ * @returns {string} Sanitized name (may be empty)
+ */
+function sanitizeName(name) {
+  return String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Trims and truncates a user-provided emoji without splitting code points.
+ *
+ * @param {string} emoji - Raw emoji
+ * @returns {string} Sanitized emoji (may be empty)
+ */
+function sanitizeEmoji(emoji) {
+  return Array.from(String(emoji || '').trim()).slice(0, MAX_EMOJI_LENGTH).join('');
+}
+
+// =============================================================================
+// Registry Mutations
+// =============================================================================
+
+/**
+ * Registers a new account with its own session partition.
+ *
+ * @param {string} name - Display name for the new account
+ * @returns {Object|null} The created account, or null if the name is empty
+ */
+function addAccount(name) {
+  const cleanName = sanitizeName(name);
+  if (!cleanName) return null;
+
+  const accounts = getAccounts();
+
+  // Random id keeps partitions unique even after accounts are removed
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (accounts.some(account => account.id === id));
+
+  const account = {
+    id,
+    partition: `persist:whatsapp-${id}`,
+    name: cleanName,
+    paletteIndex: getFreePaletteIndex(accounts)
+  };
+
+  accounts.push(account);
+  saveAccounts(accounts);
+
+  return account;
+}
+
+/**
+ * Removes an account from the registry.
+ *
+ * The last remaining account cannot be removed. Session data is not
+ * touched here; the caller is responsible for deleting the partition.
+ *
+ * @param {string} accountId - Account to remove
+ * @returns {Object|null} The removed account, or null if not removed
+ */
+function removeAccount(accountId) {
+  const accounts = getAccounts();
+  if (accounts.length <= 1) return null;
+
+  const index = accounts.findIndex(account => account.id === accountId);
+  if (index === -1) return null;
+
+  const [removed] = accounts.splice(index, 1);
+  saveAccounts(accounts);
+
+  return removed;
+}
+
+/**
+ * Renames an account.
+ *
+ * An empty name resets built-in accounts to their translated label.
+ *
+ * @param {string} accountId - Account to rename
+ * @param {string} name - New display name
+ * @returns {boolean} True if the account was renamed
+ */
+function renameAccount(accountId, name) {
+  const accounts = getAccounts();
+  const account = accounts.find(entry => entry.id === accountId);
+  if (!account) return false;
+
+  const cleanName = sanitizeName(name);
+  const isBuiltIn = Object.values(ACCOUNTS).some(entry => entry.id === accountId);
+  if (!cleanName && !isBuiltIn) return false;
+
+  account.name = cleanName || null;
+  saveAccounts(accounts);
+
+  return true;
+}
+
+/**
+ * Sets the accent colour and emoji of an account.
+ *
+ * Passing an empty colour restores the default palette colour; an empty
+ * emoji removes it. Properties that are undefined are left unchanged.
+ *
+ * @param {string} accountId - Account to update
+ * @param {Object} appearance - New appearance
+ * @param {string} [appearance.color] - Colour in #rrggbb format, or '' for the default
+ * @param {string} [appearance.emoji] - Emoji, or '' for none
+ * @returns {boolean} True if the account was updated
+ */
+function setAccountAppearance(accountId, appearance) {
+  const accounts = getAccounts();
+  const account = accounts.find(entry => entry.id === accountId);
+  if (!account || !appearance) return false;
+
+  if (appearance.color !== undefined) {
+    if (appearance.color && !COLOR_PATTERN.test(appearance.color)) return false;
+    account.color = appearance.color ? appearance.color.toLowerCase() : null;
+  }
+  if (appearance.emoji !== undefined) {
+    account.emoji = sanitizeEmoji(appearance.emoji) || null;
+  }
+
+  saveAccounts(accounts);
+  return true;
+}
+
+/**
+ * Moves an account up or down in the display order.
+ *
+ * @param {string} accountId - Account to move
+ * @param {number} offset - Positions to move (-1 = up, 1 = down)
+ * @returns {boolean} True if the order changed
+ */
+function moveAccount(accountId, offset) {
+  const accounts = getAccounts();
+  const index = accounts.findIndex(account => account.id === accountId);
+  const target = index + offset;
+
+  if (index === -1 || target < 0 || target >= accounts.length) return false;
+
+  const [account] = accounts.splice(index, 1);
+  accounts.splice(target, 0, account);
+  saveAccounts(accounts);
+
+  return true;
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  getAccounts,
+  getAccount,
+  getFirstAccountId,
+  getAccountLabel,
+  getAccountColor,
+  getAccountEmoji,
+  getAccountDisplayName,
+  addAccount,
+  removeAccount,
+  renameAccount,
+  setAccountAppearance,
+  moveAccount
+};
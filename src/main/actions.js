@@ -0,0 +1,388 @@
+/**
+ * WhatsApp Dual - Action Registry Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module is the central list of the app's actions. The application
+ * menu, the tray menu and the command palette (Ctrl+Shift+P) build their
+ * entries from it, so an action added here can be reached everywhere.
+ *
+ * Each action has:
+ * - id: 'preferences', 'account:<id>', 'reload:<id>', …
+ * - group: Group name shown in the command palette
+ * - label: Translated name
+ * - keymapId: Keyboard shortcut in the keymap (keymap.js), if any
+ * - enabled: Whether the action can run right now
+ * - checked: Current state of on/off actions (side by side, …)
+ * - run: Function that performs the action
+ *
+ * Actions are built on every call, so labels, accounts and states are
+ * always current. Building them reads the settings store several times,
+ * so a menu rebuild gets them once with getActions() and passes the
+ * result to each toMenuItem() call. Functions that live in main.js are
+ * passed to init().
+ */
+
+const { dialog, session, shell } = require('electron');
+const i18n = require('../shared/i18n');
+const accounts = require('./accounts');
+const keymap = require('./keymap');
+const layout = require('./layout');
+const popout = require('./popout');
+const dnd = require('./dnd');
+const security = require('./security');
+const updater = require('./updater');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Length of the "Pause notifications for 1 hour" option (ms) */
+const PAUSE_HOUR = 60 * 60 * 1000;
+
+/** @type {string} Project page opened by Help → GitHub Repository */
+const REPOSITORY_URL = 'https://github.com/686f6c61/whatsapp-dual';
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Object} Functions provided by main.js (see init()) */
+let handlers = {};
+
+// =============================================================================
+// Action Implementations
+// =============================================================================
+
+/**
+ * Clears the HTTP cache of every account.
+ *
+ * Only cached files are removed; logins, chats and settings are kept.
+ *
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+  const registry = accounts.getAccounts();
+  await Promise.all(registry.map(account => session.fromPartition(account.partition).clearCache()));
+
+  dialog.showMessageBox(handlers.getMainWindow(), {
+    type: 'info',
+    title: i18n.t('actions.clearCache', 'Clear cache'),
+    message: i18n.t('actions.cacheCleared', 'The cache of all accounts was cleared'),
+    buttons: [i18n.t('about.ok', 'OK')]
+  });
+}
+
+/**
+ * Shows the "Keyboard shortcuts" dialog with the current keymap.
+ *
+ * @returns {void}
+ */
+function showShortcuts() {
+  dialog.showMessageBox(handlers.getMainWindow(), {
+    type: 'info',
+    title: i18n.t('menu.shortcuts', 'Keyboard shortcuts'),
+    message: i18n.t('menu.shortcuts', 'Keyboard shortcuts'),
+    detail: keymap.getHelpText(),
+    buttons: [i18n.t('about.ok', 'OK')]
+  });
+}
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+/**
+ * Builds the account actions: switch to and reload each account, and
+ * return popped-out accounts to the main window.
+ *
+ * @returns {Object[]} Actions
+ */
+function getAccountActions() {
+  const group = i18n.t('actions.groupAccounts', 'Accounts');
+  const registry = accounts.getAccounts();
+  const poppedOutIds = popout.getPoppedOutIds();
+
+  return [
+    ...registry.map((account, index) => ({
+      id: `account:${account.id}`,
+      group,
+      label: `${i18n.t('actions.switchTo', 'Switch to')} ${accounts.getAccountDisplayName(account)}`,
+      keymapId: index < 9 ? `account${index + 1}` : undefined,
+      run: () => handlers.showAccount(account.id)
+    })),
+    ...registry.map(account => ({
+      id: `reload:${account.id}`,
+      group,
+      label: `${i18n.t('menu.reload', 'Reload')} ${accounts.getAccountDisplayName(account)}`,
+      run: () => handlers.reloadAccount(account.id)
+    })),
+    ...poppedOutIds.map(accountId => ({
+      id: `dock:${accountId}`,
+      group,
+      label: `${i18n.t('menu.returnToMain', 'Return to main window')}: ${accounts.getAccountDisplayName(accountId)}`,
+      run: () => popout.dock(accountId)
+    }))
+  ];
+}
+
+/**
+ * Returns every action with its current label and state.
+ *
+ * @returns {Map<string, Object>} Actions by identifier, in display order
+ */
+function getActions() {
+  const accountCount = accounts.getAccounts().length;
+  const pausedUntil = dnd.getPausedUntil();
+  const settingsGroup = i18n.t('menu.settings', 'Settings');
+  const notificationsGroup = i18n.t('actions.groupNotifications', 'Notifications');
+  const helpGroup = i18n.t('menu.help', 'Help');
+  const pauseLabel = i18n.t('tray.pauseNotifications', 'Pause notifications');
+
+  const list = [
+    ...getAccountActions(),
+
+    // Settings menu
+    {
+      id: 'preferences',
+      group: settingsGroup,
+      label: i18n.t('menu.preferences', 'Preferences'),
+      keymapId: 'preferences',
+      run: () => handlers.openSettings()
+    },
+    {
+      id: 'lock',
+      group: settingsGroup,
+      label: i18n.t('menu.lockNow', 'Lock now'),
+      keymapId: 'lock',
+      enabled: security.isPINEnabled(),
+      run: () => {
+        if (security.isPINEnabled()) security.lockApp();
+      }
+    },
+    {
+      id: 'sideBySide',
+      group: settingsGroup,
+      label: i18n.t('menu.sideBySide', 'Side by side'),
+      keymapId: 'sideBySide',
+      enabled: accountCount > 1,
+      checked: layout.isSplitEnabled(),
+      run: () => layout.toggleSplit()
+    },
+    {
+      id: 'stackVertically',
+      group: settingsGroup,
+      label: i18n.t('menu.stackVertically', 'Stack vertically'),
+      enabled: layout.isSplitEnabled() && accountCount > 1,
+      checked: layout.getOrientation() === 'vertical',
+      run: () => layout.toggleOrientation()
+    },
+    {
+      id: 'popOut',
+      group: settingsGroup,
+      label: i18n.t('menu.openInWindow', 'Open in separate window'),
+      keymapId: 'popOut',
+      enabled: accountCount - popout.getPoppedOutIds().length > 1,
+      run: () => handlers.popOut()
+    },
+    {
+      id: 'reload',
+      group: settingsGroup,
+      label: i18n.t('menu.reload', 'Reload'),
+      keymapId: 'reload',
+      run: () => handlers.reloadAccount()
+    },
+    {
+      id: 'clearCache',
+      group: settingsGroup,
+      label: i18n.t('actions.clearCache', 'Clear cache'),
+      run: () => clearCache()
+    },
+    {
+      id: 'quit',
+      group: settingsGroup,
+      label: i18n.t('menu.quit', 'Quit'),
+      keymapId: 'quit',
+      run: () => handlers.quit()
+    },
+
+    // Do not disturb (tray menu)
+    {
+      id: 'pauseHour',
+      group: notificationsGroup,
+      label: `${pauseLabel}: ${i18n.t('tray.pauseHour', 'For 1 hour')}`,
+      enabled: !pausedUntil,
+      run: () => dnd.pauseFor(PAUSE_HOUR)
+    },
+    {
+      id: 'pauseTomorrow',
+      group: notificationsGroup,
+      label: `${pauseLabel}: ${i18n.t('tray.pauseTomorrow', 'Until tomorrow')}`,
+      enabled: !pausedUntil,
+      run: () => dnd.pauseUntilTomorrow()
+    },
+    {
+      id: 'resumeNotifications',
+      group: notificationsGroup,
+      label: i18n.t('tray.resumeNotifications', 'Resume notifications'),
+      enabled: !!pausedUntil,
+      run: () => dnd.resume()
+    },
+
+    // Help menu
+    {
+      id: 'checkUpdates',
+      group: helpGroup,
+      label: updater.isUpdateAvailable()
+        ? i18n.t('updates.updateAvailable', 'Update available!')
+        : i18n.t('updates.checkForUpdates', 'Check for updates'),
+      run: () => {
+        if (updater.isUpdateAvailable()) {
+          updater.showUpdateDialog(handlers.getMainWindow());
+        } else {
+          updater.checkForUpdatesManual(handlers.getMainWindow());
+        }
+      }
+    },
+    {
+      id: 'commandPalette',
+      group: helpGroup,
+      label: i18n.t('menu.commandPalette', 'Command palette'),
+      keymapId: 'commandPalette',
+      run: () => handlers.openPalette()
+    },
+    {
+      id: 'shortcuts',
+      group: helpGroup,
+      label: i18n.t('menu.shortcuts', 'Keyboard shortcuts'),
+      run: () => showShortcuts()
+    },
+    {
+      id: 'taskManager',
+      group: helpGroup,
+      label: i18n.t('menu.taskManager', 'Task manager'),
+      run: () => handlers.openTaskManager()
+    },
+    {
+      id: 'downloads',
+      group: helpGroup,
+      label: i18n.t('menu.downloads', 'Downloads'),
+      run: () => handlers.openDownloads()
+    },
+    {
+      id: 'about',
+      group: helpGroup,
+      label: i18n.t('menu.about', 'About WhatsApp Dual'),
+      run: () => handlers.openAbout()
+    },
+    {
+      id: 'github',
+      group: helpGroup,
+      label: i18n.t('menu.github', 'GitHub Repository'),
+      run: () => shell.openExternal(REPOSITORY_URL)
+    }
+  ];
+
+  return new Map(list.map(action => [action.id, { enabled: true, ...action }]));
+}
+
+/**
+ * Runs an action if it exists and is enabled.
+ *
+ * @param {string} id - Action identifier
+ * @returns {boolean} True if the action ran
+ */
+function run(id) {
+  const action = getActions().get(id);
+  if (!action || !action.enabled) return false;
+
+  action.run();
+  return true;
+}
+
+// =============================================================================
+// Consumers
+// =============================================================================
+
+/**
+ * Builds a menu item template for an action.
+ *
+ * Properties in overrides replace the generated ones, e.g. a shorter
+ * label or visibility rule.
+ *
+ * @param {Map<string, Object>} allActions - Actions from getActions()
+ * @param {string} id - Action identifier
+ * @param {Object} [overrides] - Extra menu item properties
+ * @returns {Object} Menu item template
+ */
+function toMenuItem(allActions, id, overrides = {}) {
+  const action = allActions.get(id);
+  if (!action) return { label: id, enabled: false, ...overrides };
+
+  const item = {
+    label: action.label,
+    accelerator: action.keymapId ? keymap.getAccelerator(action.keymapId) : undefined,
+    enabled: action.enabled,
+    click: () => run(id)
+  };
+  if (action.checked !== undefined) {
+    item.type = 'checkbox';
+    item.checked = action.checked;
+  }
+  return { ...item, ...overrides };
+}
+
+/**
+ * Returns the actions the command palette can run.
+ *
+ * @returns {{id: string, group: string, label: string, shortcut: string}[]} Enabled actions
+ */
+function getPaletteEntries() {
+  return [...getActions().values()]
+    .filter(action => action.enabled && action.id !== 'commandPalette')
+    .map(action => ({
+      id: action.id,
+      group: action.group,
+      label: action.checked === undefined ? action.label : `${action.label} (${action.checked ? i18n.t('actions.on', 'on') : i18n.t('actions.off', 'off')})`,
+      shortcut: action.keymapId ? keymap.getLabel(action.keymapId) : ''
+    }));
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Provides the functions that live in main.js.
+ *
+ * @param {Object} mainHandlers - Functions used by the actions
+ * @param {Function} mainHandlers.getMainWindow - Returns the main window (dialog parent)
+ * @param {Function} mainHandlers.showAccount - Function(accountId) showing an account
+ * @param {Function} mainHandlers.reloadAccount - Function([accountId]) reloading an account (default: the active one)
+ * @param {Function} mainHandlers.popOut - Moves the active account into its own window
+ * @param {Function} mainHandlers.openSettings - Opens the settings window
+ * @param {Function} mainHandlers.openTaskManager - Opens the task manager window
+ * @param {Function} mainHandlers.openDownloads - Opens the downloads window
+ * @param {Function} mainHandlers.openAbout - Shows the About dialog
+ * @param {Function} mainHandlers.openPalette - Opens the command palette
+ * @param {Function} mainHandlers.quit - Quits the app
+ * @returns {void}
+ */
+function init(mainHandlers) {
+  handlers = mainHandlers;
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  getActions,
+  run,
+  toMenuItem,
+  getPaletteEntries
+};
@@ -0,0 +1,253 @@
+/**
+ * WhatsApp Dual - Tray Badge Renderer
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module draws the unread badge onto the tray icon at runtime.
+ * The main process has no canvas, so the badge is rasterized directly
+ * into the raw bitmap of the base icon and turned back into a
+ * NativeImage with nativeImage.createFromBitmap().
+ *
+ * Badge Layout:
+ * - Red pill in the bottom-right corner with the total unread count
+ *   ("1" … "99", then "99+")
+ * - One coloured dot per account with unread messages along the top edge
+ *
+ * Bitmap Format:
+ * NativeImage bitmaps are 32-bit premultiplied pixels in BGRA order
+ * (the native Skia order on Linux and Windows). All drawing helpers
+ * blend in premultiplied space.
+ */
+
+const { nativeImage } = require('electron');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Logical tray icon size in pixels */
+const ICON_SIZE = 22;
+
+/** @type {number} Render scale; the icon is drawn at 2x for HiDPI trays */
+const SCALE = 2;
+
+/** @type {number} Highest count shown before switching to "99+" */
+const MAX_COUNT = 99;
+
+/** @type {string} Badge background colour */
+const BADGE_COLOR = '#ea0038';
+
+/** @type {string} Badge text colour */
+const TEXT_COLOR = '#ffffff';
+
+/**
+ * 3x5 pixel font for the badge text.
+ * Each glyph is five rows of three bits, most significant bit on the left.
+ *
+ * @constant {Object.<string, number[]>}
+ */
+const GLYPHS = {
+  '0': [0b111, 0b101, 0b101, 0b101, 0b111],
+  '1': [0b010, 0b110, 0b010, 0b010, 0b111],
+  '2': [0b111, 0b001, 0b111, 0b100, 0b111],
+  '3': [0b111, 0b001, 0b111, 0b001, 0b111],
+  '4': [0b101, 0b101, 0b111, 0b001, 0b001],
+  '5': [0b111, 0b100, 0b111, 0b001, 0b111],
+  '6': [0b111, 0b100, 0b111, 0b101, 0b111],
+  '7': [0b111, 0b001, 0b001, 0b001, 0b001],
+  '8': [0b111, 0b101, 0b111, 0b101, 0b111],
+  '9': [0b111, 0b101, 0b111, 0b001, 0b111],
+  '+': [0b000, 0b010, 0b111, 0b010, 0b000]
+};
+
+/** @type {number} Glyph width in font pixels */
+const GLYPH_WIDTH = 3;
+
+/** @type {number} Glyph height in font pixels */
+const GLYPH_HEIGHT = 5;
+
+// =============================================================================
+// Pixel Helpers
+// =============================================================================
+
+/**
+ * Parses a #rrggbb colour.
+ *
+ * @param {string} hex - Colour in #rrggbb format
+ * @returns {{r: number, g: number, b: number}}
+ */
+function parseColor(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+  return {
+    r: (value >> 16) & 0xff,
+    g: (value >> 8) & 0xff,
+    b: value & 0xff
+  };
+}
+
+/**
+ * Blends an opaque colour into one pixel with the given coverage.
+ *
+ * @param {Buffer} bitmap - BGRA premultiplied pixel buffer
+ * @param {number} size - Bitmap width/height in pixels
+ * @param {number} x - Pixel column
+ * @param {number} y - Pixel row
+ * @param {{r: number, g: number, b: number}} color - Colour to blend
+ * @param {number} coverage - Coverage from 0 (none) to 1 (full)
+ * @returns {void}
+ */
+function blendPixel(bitmap, size, x, y, color, coverage) {
+  if (x < 0 || y < 0 || x >= size || y >= size || coverage <= 0) return;
+
+  const a = Math.min(1, coverage);
+  const offset = (y * size + x) * 4;
+
+  bitmap[offset] = Math.round(color.b * a + bitmap[offset] * (1 - a));
+  bitmap[offset + 1] = Math.round(color.g * a + bitmap[offset + 1] * (1 - a));
+  bitmap[offset + 2] = Math.round(color.r * a + bitmap[offset + 2] * (1 - a));
+  bitmap[offset + 3] = Math.round(255 * a + bitmap[offset + 3] * (1 - a));
+}
+
+/**
+ * Fills an anti-aliased horizontal capsule (a circle when x1 === x2).
+ *
+ * @param {Buffer} bitmap - BGRA premultiplied pixel buffer
+ * @param {number} size - Bitmap width/height in pixels
+ * @param {number} x1 - Left cap centre
+ * @param {number} x2 - Right cap centre
+ * @param {number} cy - Vertical centre
+ * @param {number} radius - Cap radius
+ * @param {{r: number, g: number, b: number}} color - Fill colour
+ * @returns {void}
+ */
+function fillCapsule(bitmap, size, x1, x2, cy, radius, color) {
+  const top = Math.floor(cy - radius - 1);
+  const bottom = Math.ceil(cy + radius + 1);
+  const left = Math.floor(x1 - radius - 1);
+  const right = Math.ceil(x2 + radius + 1);
+
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      // Distance from the pixel centre to the capsule's centre segment
+      const px = x + 0.5;
+      const py = y + 0.5;
+      const nearestX = Math.max(x1, Math.min(x2, px));
+      const distance = Math.hypot(px - nearestX, py - cy);
+      blendPixel(bitmap, size, x, y, color, radius - distance + 0.5);
+    }
+  }
+}
+
+/**
+ * Draws a string with the pixel font.
+ *
+ * @param {Buffer} bitmap - BGRA premultiplied pixel buffer
+ * @param {number} size - Bitmap width/height in pixels
+ * @param {string} text - Text made of GLYPHS characters
+ * @param {number} x - Left edge in pixels
+ * @param {number} y - Top edge in pixels
+ * @param {number} scale - Pixels per font pixel
+ * @param {{r: number, g: number, b: number}} color - Text colour
+ * @returns {void}
+ */
+function drawText(bitmap, size, text, x, y, scale, color) {
+  [...text].forEach((char, index) => {
+    const glyph = GLYPHS[char];
+    if (!glyph) return;
+
+    const glyphX = x + index * (GLYPH_WIDTH + 1) * scale;
+    glyph.forEach((row, rowIndex) => {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        if (!(row & (1 << (GLYPH_WIDTH - 1 - col)))) continue;
+
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            blendPixel(bitmap, size, glyphX + col * scale + dx, y + rowIndex * scale + dy, color, 1);
+          }
+        }
+      }
+    });
+  });
+}
+
+// =============================================================================
+// Badge Rendering
+// =============================================================================
+
+/**
+ * Formats an unread count for the badge.
+ *
+ * @param {number} count - Total unread count
+ * @returns {string} "1" … "99" or "99+"
+ */
+function formatCount(count) {
+  return count > MAX_COUNT ? `${MAX_COUNT}+` : String(count);
+}
+
+/**
+ * Renders the tray icon with an unread badge.
+ *
+ * Returns the plain base icon when there is nothing to show.
+ *
+ * @param {NativeImage} baseIcon - Full-size application icon
+ * @param {number} total - Total unread count across all accounts
+ * @param {string[]} [dotColors=[]] - Colours of the accounts with unread messages
+ * @returns {NativeImage} Tray-sized icon
+ */
+function renderTrayIcon(baseIcon, total, dotColors = []) {
+  const size = ICON_SIZE * SCALE;
+  const base = baseIcon.resize({ width: size, height: size, quality: 'best' });
+
+  if (total <= 0 && dotColors.length === 0) {
+    return base.resize({ width: ICON_SIZE, height: ICON_SIZE, quality: 'best' });
+  }
+
+  const bitmap = Buffer.from(base.toBitmap());
+
+  // Per-account dots along the top edge
+  const dotRadius = 2.5 * SCALE;
+  dotColors.forEach((hex, index) => {
+    const cx = dotRadius + 1 + index * (dotRadius * 2 + SCALE);
+    fillCapsule(bitmap, size, cx, cx, dotRadius + 1, dotRadius, parseColor('#ffffff'));
+    fillCapsule(bitmap, size, cx, cx, dotRadius + 1, dotRadius - SCALE / 2, parseColor(hex));
+  });
+
+  if (total > 0) {
+    const text = formatCount(total);
+    const fontScale = SCALE;
+    const textWidth = (text.length * (GLYPH_WIDTH + 1) - 1) * fontScale;
+    const textHeight = GLYPH_HEIGHT * fontScale;
+
+    // Pill sized to the text, anchored to the bottom-right corner
+    const radius = (textHeight + 3 * SCALE) / 2;
+    const pillWidth = Math.max(radius * 2, textWidth + 3 * SCALE);
+    const right = size - radius;
+    const left = size - pillWidth + radius;
+    const cy = size - radius;
+
+    fillCapsule(bitmap, size, left, right, cy, radius, parseColor(BADGE_COLOR));
+    drawText(
+      bitmap,
+      size,
+      text,
+      Math.round(size - pillWidth / 2 - textWidth / 2),
+      Math.round(cy - textHeight / 2),
+      fontScale,
+      parseColor(TEXT_COLOR)
+    );
+  }
+
+  return nativeImage.createFromBitmap(bitmap, { width: size, height: size, scaleFactor: SCALE });
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  renderTrayIcon,
+  formatCount
+};
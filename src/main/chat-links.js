@@ -0,0 +1,215 @@
+/**
+ * WhatsApp Dual - Chat Links Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module handles "Chat on WhatsApp" links opened outside the app:
+ * - whatsapp://send?phone=34600111222&text=Hello
+ * - https://wa.me/34600111222?text=Hello
+ * - https://api.whatsapp.com/send?phone=34600111222&text=Hello
+ *
+ * The app registers itself for the whatsapp:// protocol. Links reach it
+ * on the command line (first start and second-instance) or through
+ * macOS's open-url event; main.js then opens the chat in the account
+ * returned by chooseAccount().
+ *
+ * Account Rule:
+ * 'ask' shows a dialog with one button per account (and an "always use
+ * this account" checkbox); an account ID opens every link in that
+ * account. With a single account no question is asked.
+ *
+ * Storage Format (electron-store):
+ * - chatLinks.account: 'ask' or an account ID
+ */
+
+const { app, dialog } = require('electron');
+const path = require('path');
+const Store = require('electron-store');
+const i18n = require('../shared/i18n');
+const { WHATSAPP_URL } = require('../shared/constants');
+const accounts = require('./accounts');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {string} Protocol the app registers for */
+const PROTOCOL = 'whatsapp';
+
+/** @type {RegExp} Accepted phone number (international format, digits only) */
+const PHONE_PATTERN = /^\d{6,15}$/;
+
+/** @type {number} Longest prefilled message passed on to WhatsApp Web */
+const MAX_TEXT_LENGTH = 4096;
+
+// =============================================================================
+// Protocol Registration
+// =============================================================================
+
+/**
+ * Registers the app as the handler of whatsapp:// links.
+ *
+ * When started through `electron .` (development), the app path has to
+ * be passed along, otherwise the link would start a bare Electron.
+ *
+ * @returns {void}
+ */
+function registerProtocol() {
+  const registered = process.defaultApp && process.argv.length >= 2
+    ? app.setAsDefaultProtocolClient(PROTOCOL, process.execPath, [path.resolve(process.argv[1])])
+    : app.setAsDefaultProtocolClient(PROTOCOL);
+
+  if (!registered) {
+    console.warn(`Could not register as the ${PROTOCOL}:// handler`);
+  }
+}
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parses a chat link.
+ *
+ * Either a phone number or a message is required; a link with only a
+ * message lets the user pick the chat in WhatsApp Web.
+ *
+ * @param {string} input - Link, e.g. a command-line argument
+ * @returns {{phone: string, text: string}|null} Chat target, or null if it is not a chat link
+ */
+function parse(input) {
+  let url;
+  try {
+    url = new URL(String(input));
+  } catch {
+    return null;
+  }
+
+  let phone;
+  const host = url.hostname.replace(/^www\./, '');
+
+  if (url.protocol === `${PROTOCOL}:` && host === 'send') {
+    phone = url.searchParams.get('phone') || '';
+  } else if (url.protocol === 'https:' && host === 'wa.me') {
+    phone = decodeURIComponent(url.pathname.slice(1));
+  } else if (url.protocol === 'https:' && host === 'api.whatsapp.com' && url.pathname === '/send') {
+    phone = url.searchParams.get('phone') || '';
+  } else {
+    return null;
+  }
+
+  // "+34 600-111 222" → "34600111222"
+  phone = phone.replace(/[\s+\-().]/g, '');
+  const text = (url.searchParams.get('text') || '').slice(0, MAX_TEXT_LENGTH);
+
+  if (phone ? !PHONE_PATTERN.test(phone) : !text) return null;
+  return { phone, text };
+}
+
+/**
+ * Finds the first chat link in a list of command-line arguments.
+ *
+ * Chromium may add its own switches around the link, so every argument
+ * is checked.
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {{phone: string, text: string}|null} Chat target, or null if none
+ */
+function findInArgs(argv) {
+  for (const arg of argv || []) {
+    const link = parse(arg);
+    if (link) return link;
+  }
+  return null;
+}
+
+/**
+ * Builds the WhatsApp Web URL that opens a chat target.
+ *
+ * @param {{phone: string, text: string}} link - Chat target
+ * @returns {string} WhatsApp Web URL
+ */
+function getSendURL(link) {
+  const url = new URL('/send', WHATSAPP_URL);
+  if (link.phone) url.searchParams.set('phone', link.phone);
+  if (link.text) url.searchParams.set('text', link.text);
+  return url.toString();
+}
+
+// =============================================================================
+// Account Rule
+// =============================================================================
+
+/**
+ * Returns the account rule; removed accounts fall back to 'ask'.
+ *
+ * @returns {string} 'ask' or an account ID
+ */
+function getRule() {
+  const rule = store.get('chatLinks.account', 'ask');
+  return accounts.getAccount(rule) ? rule : 'ask';
+}
+
+/**
+ * Saves the account rule.
+ *
+ * @param {string} rule - 'ask' or an account ID
+ * @returns {void}
+ */
+function setRule(rule) {
+  if (rule === 'ask' || accounts.getAccount(rule)) {
+    store.set('chatLinks.account', rule);
+  }
+}
+
+/**
+ * Decides which account opens a chat link, asking if needed.
+ *
+ * @param {BrowserWindow} parent - Window the dialog belongs to
+ * @param {{phone: string, text: string}} link - Chat target, shown in the dialog
+ * @returns {Promise<string|null>} Account ID, or null if the user cancelled
+ */
+async function chooseAccount(parent, link) {
+  const rule = getRule();
+  if (rule !== 'ask') return rule;
+
+  const registry = accounts.getAccounts();
+  if (registry.length === 1) return registry[0].id;
+
+  const { response, checkboxChecked } = await dialog.showMessageBox(parent, {
+    type: 'question',
+    title: 'WhatsApp Dual',
+    message: i18n.t('chatLinks.chooseAccount', 'Open this chat with which account?'),
+    detail: [link.phone ? `+${link.phone}` : '', link.text.slice(0, 200)].filter(Boolean).join('\n\n'),
+    buttons: [...registry.map(account => accounts.getAccountDisplayName(account)), i18n.t('chatLinks.cancel', 'Cancel')],
+    cancelId: registry.length,
+    checkboxLabel: i18n.t('chatLinks.remember', 'Always use this account'),
+    noLink: true
+  });
+
+  if (response >= registry.length) return null;
+  if (checkboxChecked) setRule(registry[response].id);
+  return registry[response].id;
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  registerProtocol,
+  parse,
+  findInArgs,
+  getSendURL,
+  getRule,
+  setRule,
+  chooseAccount
+};
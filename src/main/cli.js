@@ -0,0 +1,155 @@
+/**
+ * WhatsApp Dual - Command Line Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module parses the command-line options that control the app:
+ *
+ *   whatsapp-dual --account business   Show an account
+ *   whatsapp-dual --toggle             Show or hide the window
+ *   whatsapp-dual --show / --hide      Show or hide the window
+ *   whatsapp-dual --lock               Lock the app (needs a PIN)
+ *   whatsapp-dual --reload [account]   Reload an account (default: the active one)
+ *   whatsapp-dual --quit               Quit the app
+ *
+ * When the app is already running, the new process hands its arguments
+ * to the running instance (see requestSingleInstanceLock() in main.js)
+ * and exits, so these commands can be bound to keyboard shortcuts in the
+ * desktop environment's settings. When the app is not running it starts
+ * and then runs the commands.
+ *
+ * Accounts can be given by ID, by name (case-insensitive) or by position
+ * (1 = first account). Values can also be written as --account=business.
+ */
+
+const accounts = require('./accounts');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {string[]} Options without a value */
+const FLAGS = ['toggle', 'show', 'hide', 'lock', 'quit'];
+
+/** @type {string[]} Options that require an account */
+const ACCOUNT_OPTIONS = ['account'];
+
+/** @type {string[]} Options that take an optional account */
+const OPTIONAL_ACCOUNT_OPTIONS = ['reload'];
+
+/** @type {string} Usage text printed by --help */
+const USAGE = `Usage: whatsapp-dual [options]
+
+Options:
+  --account <account>   Show an account (ID, name or position, e.g. 1)
+  --toggle              Show the window, or hide it if it is visible
+  --show                Show the window
+  --hide                Hide the window
+  --lock                Lock the app (requires a PIN)
+  --reload [account]    Reload an account (default: the active one)
+  --quit                Quit the app
+  --help                Show this help
+
+If the app is already running, the command is sent to it.
+`;
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Finds the account an argument refers to.
+ *
+ * @param {string} value - Account ID, name or 1-based position
+ * @returns {string|null} Account ID, or null if no account matches
+ */
+function resolveAccount(value) {
+  const registry = accounts.getAccounts();
+  const needle = String(value).trim().toLowerCase();
+
+  const byId = registry.find(account => account.id.toLowerCase() === needle);
+  if (byId) return byId.id;
+
+  const byName = registry.find(account => accounts.getAccountLabel(account).toLowerCase() === needle);
+  if (byName) return byName.id;
+
+  const position = /^\d+$/.test(needle) ? parseInt(needle, 10) : 0;
+  return position >= 1 && position <= registry.length ? registry[position - 1].id : null;
+}
+
+/**
+ * Parses the control commands in a list of command-line arguments.
+ *
+ * Unknown options (Chromium and Electron switches, chat links) are
+ * ignored. Commands are returned in the order they were given.
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {{commands: Object[], errors: string[], help: boolean}} Commands
+ *   as { command, accountId }, problems to report, and whether --help was given
+ */
+function parse(argv) {
+  const commands = [];
+  const errors = [];
+  let help = false;
+  const args = Array.isArray(argv) ? argv.map(String) : [];
+
+  for (let index = 0; index < args.length; index++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[index]);
+    if (!match) continue;
+
+    const [, name, inlineValue] = match;
+    const next = args[index + 1];
+    const hasNext = next !== undefined && !next.startsWith('-');
+
+    if (name === 'help') {
+      help = true;
+    } else if (FLAGS.includes(name)) {
+      commands.push({ command: name, accountId: null });
+    } else if (ACCOUNT_OPTIONS.includes(name) || OPTIONAL_ACCOUNT_OPTIONS.includes(name)) {
+      let value = inlineValue;
+      if (value === undefined && hasNext && (ACCOUNT_OPTIONS.includes(name) || resolveAccount(next))) {
+        value = next;
+        index++;
+      }
+
+      if (value === undefined || value === '') {
+        if (ACCOUNT_OPTIONS.includes(name)) {
+          errors.push(`--${name} needs an account`);
+        } else {
+          commands.push({ command: name, accountId: null });
+        }
+        continue;
+      }
+
+      const accountId = resolveAccount(value);
+      if (accountId) {
+        commands.push({ command: name, accountId });
+      } else {
+        errors.push(`Unknown account: ${value}`);
+      }
+    }
+  }
+
+  return { commands, errors, help };
+}
+
+/**
+ * Returns the --help text.
+ *
+ * @returns {string} Usage text
+ */
+function getUsage() {
+  return USAGE;
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  parse,
+  getUsage
+};
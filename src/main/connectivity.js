@@ -0,0 +1,412 @@
+/**
+ * WhatsApp Dual - Connectivity Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module detects when the computer goes offline, comes back online
+ * or resumes from suspend, and reloads the account views afterwards.
+ * WhatsApp Web often keeps showing "Computer not connected" after a
+ * network change until the page is reloaded.
+ *
+ * Reconnect Flow:
+ * 1. The network comes back (net.isOnline() is polled) or the system
+ *    resumes from suspend (powerMonitor 'resume', next to the suspend and
+ *    lock-screen hooks of security.initAutoLock())
+ * 2. Every loaded account view that has not just connected is marked stale
+ * 3. A view stops being stale as soon as WhatsApp Web opens its
+ *    WebSocket again (seen through the session's webRequest), i.e. it
+ *    reconnected by itself
+ * 4. After the grace period (setting 'reconnectGrace', in seconds; 0
+ *    disables the reload) views that are still stale are reloaded
+ *
+ * An account whose reload does not bring it back (e.g. the network is
+ * up but WhatsApp cannot be reached) is retried with a doubling delay,
+ * up to MAX_RETRY_DELAY, until it connects. A page load alone does not
+ * reset the delay, since WhatsApp Web's service worker can serve the
+ * page while WhatsApp itself is unreachable.
+ *
+ * Per-account state, shown in the tray menu:
+ * - 'online': Loaded and connected
+ * - 'offline': The computer is offline or the page failed to load
+ * - 'reconnecting': Waiting for the grace period or reloading
+ *
+ * Failed page loads caused by network errors are handled here (and
+ * retried with the same doubling delay) instead of by the crash recovery.
+ */
+
+const { net, powerMonitor } = require('electron');
+const Store = require('electron-store');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Interval between network checks (ms) */
+const POLL_INTERVAL = 5 * 1000;
+
+/** @type {number} Default grace period before reloading stale views (s) */
+const DEFAULT_GRACE = 10;
+
+/** @type {number[]} Selectable grace periods in seconds (0 = never reload) */
+const GRACE_OPTIONS = [0, 5, 10, 30, 60];
+
+/** @type {number} Longest delay between two reloads of an account that stays disconnected (ms) */
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+/** @type {string[]} WhatsApp Web's WebSocket; a completed handshake means the page is connected */
+const SOCKET_URLS = ['wss://web.whatsapp.com/*'];
+
+/** @type {number} Status code of a completed WebSocket handshake */
+const SWITCHING_PROTOCOLS = 101;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {boolean} Network state at the last check */
+let online = true;
+
+/** @type {Set<string>} Accounts whose page must be reloaded after reconnecting */
+const staleAccounts = new Set();
+
+/** @type {Set<string>} Accounts being reloaded */
+const reloadingAccounts = new Set();
+
+/** @type {Set<string>} Accounts whose last page load failed with a network error */
+const failedAccounts = new Set();
+
+/** @type {Map<string, NodeJS.Timeout>} Pending reload per stale account */
+const reloadTimers = new Map();
+
+/** @type {Map<string, number>} Reloads in a row that did not reconnect, per account */
+const retryCounts = new Map();
+
+/** @type {Map<string, number>} Time of the last WebSocket handshake per account (ms) */
+const lastConnected = new Map();
+
+/** @type {Function|null} Reloads the view of an account */
+let reloadCallback = null;
+
+/** @type {Function|null} Returns the IDs of the accounts with a loaded view */
+let getLoadedAccountsCallback = null;
+
+/** @type {Function|null} Called when the connectivity state changes */
+let onChangeCallback = null;
+
+/** @type {NodeJS.Timeout|null} Network polling interval */
+let pollInterval = null;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Check if a did-fail-load error code is a network error.
+ *
+ * Covers Chromium's connection (-100 to -199) and DNS (-800 to -899)
+ * errors, plus timeouts and network changes.
+ *
+ * @param {number} errorCode - Chromium net error code
+ * @returns {boolean} True if the failure is caused by the network
+ */
+function isConnectionError(errorCode) {
+  return (errorCode <= -100 && errorCode >= -199)
+    || (errorCode <= -800 && errorCode >= -899)
+    || errorCode === -7 // ERR_TIMED_OUT
+    || errorCode === -21; // ERR_NETWORK_CHANGED
+}
+
+/**
+ * Returns the grace period before stale views are reloaded.
+ *
+ * @returns {number} Seconds (0 = automatic reload disabled)
+ */
+function getGracePeriod() {
+  const grace = store.get('reconnectGrace', DEFAULT_GRACE);
+  return GRACE_OPTIONS.includes(grace) ? grace : DEFAULT_GRACE;
+}
+
+/**
+ * Sets the grace period before stale views are reloaded.
+ *
+ * @param {number} seconds - One of GRACE_OPTIONS
+ * @returns {void}
+ */
+function setGracePeriod(seconds) {
+  if (GRACE_OPTIONS.includes(seconds)) {
+    store.set('reconnectGrace', seconds);
+  }
+}
+
+/**
+ * Notifies main.js that the connectivity state changed.
+ *
+ * @returns {void}
+ */
+function notifyChange() {
+  if (onChangeCallback) {
+    onChangeCallback();
+  }
+}
+
+// =============================================================================
+// State
+// =============================================================================
+
+/**
+ * Check if the computer is online.
+ *
+ * @returns {boolean} Network state at the last check
+ */
+function isOnline() {
+  return online;
+}
+
+/**
+ * Returns the connectivity state of an account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {string} 'online', 'offline' or 'reconnecting'
+ */
+function getState(accountId) {
+  if (!online || failedAccounts.has(accountId)) return 'offline';
+  if (staleAccounts.has(accountId) || reloadingAccounts.has(accountId)) return 'reconnecting';
+  return 'online';
+}
+
+// =============================================================================
+// Reconnect
+// =============================================================================
+
+/**
+ * Returns how long to wait before reloading a stale account: the grace
+ * period, doubled for every reload in a row that did not reconnect.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {number} Delay (ms)
+ */
+function getRetryDelay(accountId) {
+  const attempts = retryCounts.get(accountId) || 0;
+  return Math.min(getGracePeriod() * 1000 * 2 ** attempts, MAX_RETRY_DELAY);
+}
+
+/**
+ * Cancels the pending reload of an account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function cancelReload(accountId) {
+  clearTimeout(reloadTimers.get(accountId));
+  reloadTimers.delete(accountId);
+}
+
+/**
+ * Reloads an account if it is still stale, i.e. has not reconnected
+ * during the wait.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function reloadIfStale(accountId) {
+  reloadTimers.delete(accountId);
+  if (!online || !staleAccounts.has(accountId)) return;
+
+  staleAccounts.delete(accountId);
+  const loaded = getLoadedAccountsCallback ? getLoadedAccountsCallback() : [];
+  if (loaded.includes(accountId) && reloadCallback) {
+    console.log(`Account ${accountId}: still disconnected, reloading`);
+    reloadingAccounts.add(accountId);
+    retryCounts.set(accountId, (retryCounts.get(accountId) || 0) + 1);
+    reloadCallback(accountId);
+  }
+  notifyChange();
+}
+
+/**
+ * Schedules the reload of a stale account after its retry delay.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function scheduleReload(accountId) {
+  cancelReload(accountId);
+
+  if (getGracePeriod() === 0) {
+    staleAccounts.delete(accountId);
+    return;
+  }
+  if (online && staleAccounts.has(accountId)) {
+    reloadTimers.set(accountId, setTimeout(() => reloadIfStale(accountId), getRetryDelay(accountId)));
+  }
+}
+
+/**
+ * Marks the loaded views as stale after a reconnect or resume.
+ *
+ * Views that completed a WebSocket handshake within the last network
+ * check have already reconnected and are left alone.
+ *
+ * @param {string} reason - What happened, for the log
+ * @returns {void}
+ */
+function handleReconnect(reason) {
+  const now = Date.now();
+  const loaded = getLoadedAccountsCallback ? getLoadedAccountsCallback() : [];
+  const stale = loaded.filter(accountId => !lastConnected.has(accountId) || now - lastConnected.get(accountId) > POLL_INTERVAL);
+
+  stale.forEach(accountId => {
+    staleAccounts.add(accountId);
+    scheduleReload(accountId);
+  });
+  console.log(`Connectivity: ${reason}, ${stale.length} account(s) waiting to reconnect`);
+  notifyChange();
+}
+
+/**
+ * Checks the network state and reacts to changes.
+ *
+ * @returns {void}
+ */
+function checkNetwork() {
+  const nowOnline = net.isOnline();
+  if (nowOnline === online) return;
+
+  online = nowOnline;
+  if (online) {
+    handleReconnect('network back online');
+  } else {
+    console.log('Connectivity: network offline');
+    [...reloadTimers.keys()].forEach(cancelReload);
+    notifyChange();
+  }
+}
+
+// =============================================================================
+// View Tracking
+// =============================================================================
+
+/**
+ * Records that an account's page is connected to WhatsApp again.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function markConnected(accountId) {
+  lastConnected.set(accountId, Date.now());
+  if (getState(accountId) === 'online' && !retryCounts.has(accountId)) return;
+
+  cancelReload(accountId);
+  staleAccounts.delete(accountId);
+  reloadingAccounts.delete(accountId);
+  failedAccounts.delete(accountId);
+  retryCounts.delete(accountId);
+  notifyChange();
+}
+
+/**
+ * Starts tracking the page loads and the connection of an account view.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {Electron.WebContents} webContents - The view's webContents
+ * @returns {void}
+ */
+function watch(accountId, webContents) {
+  // Each account has its own session, so this listener only sees this
+  // account's requests (and replaces the one of a recreated view)
+  webContents.session.webRequest.onCompleted({ urls: SOCKET_URLS }, (details) => {
+    if (details.statusCode === SWITCHING_PROTOCOLS) markConnected(accountId);
+  });
+
+  webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    if (!isMainFrame || !isConnectionError(errorCode)) return;
+
+    reloadingAccounts.delete(accountId);
+    failedAccounts.add(accountId);
+
+    // Online but unreachable (e.g. captive portal): retry, waiting longer each time
+    staleAccounts.add(accountId);
+    scheduleReload(accountId);
+    console.log(`Account ${accountId}: page could not load (${errorDescription}), retrying in ${Math.round(getRetryDelay(accountId) / 1000)} s`);
+    notifyChange();
+  });
+
+  // A successful load (by itself or after our reload) means the page is fresh
+  webContents.on('did-finish-load', () => {
+    if (getState(accountId) === 'online') return;
+
+    cancelReload(accountId);
+    staleAccounts.delete(accountId);
+    reloadingAccounts.delete(accountId);
+    failedAccounts.delete(accountId);
+    notifyChange();
+  });
+}
+
+/**
+ * Forgets an account, e.g. when it is hibernated or removed.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function forget(accountId) {
+  cancelReload(accountId);
+  staleAccounts.delete(accountId);
+  reloadingAccounts.delete(accountId);
+  failedAccounts.delete(accountId);
+  retryCounts.delete(accountId);
+  lastConnected.delete(accountId);
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Starts monitoring the network and system resume.
+ *
+ * @param {Function} reload - Function(accountId) that reloads the account's view
+ * @param {Function} getLoadedAccounts - Returns the IDs of the accounts with a loaded view
+ * @param {Function} onChange - Called when the connectivity state changes
+ * @returns {void}
+ */
+function init(reload, getLoadedAccounts, onChange) {
+  reloadCallback = reload;
+  getLoadedAccountsCallback = getLoadedAccounts;
+  onChangeCallback = onChange;
+
+  if (pollInterval) return;
+
+  online = net.isOnline();
+  pollInterval = setInterval(checkNetwork, POLL_INTERVAL);
+
+  // WhatsApp Web usually needs a reload after the laptop wakes up
+  powerMonitor.on('resume', () => {
+    online = net.isOnline();
+    handleReconnect('system resumed');
+  });
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  GRACE_OPTIONS,
+  init,
+  watch,
+  forget,
+  isOnline,
+  getState,
+  isConnectionError,
+  getGracePeriod,
+  setGracePeriod
+};
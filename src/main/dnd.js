@@ -0,0 +1,295 @@
+/**
+ * WhatsApp Dual - Do Not Disturb Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module decides when an account is in a quiet period. While an
+ * account is quiet its notifications are suppressed and its unread
+ * count is left out of the tray and launcher badges.
+ *
+ * Quiet periods come from two sources:
+ * - Weekly rules per account, e.g. Business quiet Mon–Fri 18:00–09:00
+ *   and all weekend, Personal quiet Mon–Fri 09:00–18:00
+ * - A global pause from the tray menu ("Pause notifications for 1 hour /
+ *   until tomorrow")
+ *
+ * Storage Format (electron-store):
+ * - dnd.rules: { [accountId]: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '09:00' }] }
+ *   days use Date#getDay() numbering (0 = Sunday). A range whose end is
+ *   before its start runs past midnight and belongs to the day it starts.
+ * - dnd.pausedUntil: Timestamp (ms) until which all notifications are paused
+ *
+ * A one-minute scheduler tick invokes the onChange callback registered
+ * with init() whenever the set of quiet accounts changes.
+ */
+
+const Store = require('electron-store');
+const accounts = require('./accounts');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Scheduler tick interval (ms) */
+const CHECK_INTERVAL = 60 * 1000;
+
+/** @type {number} Hour at which "until tomorrow" pauses end */
+const TOMORROW_HOUR = 8;
+
+/** @type {RegExp} Accepted time format (HH:MM, 24h) */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/** @type {number} Maximum number of rules per account */
+const MAX_RULES = 10;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Function|null} Callback invoked when the quiet state changes */
+let onChangeCallback = null;
+
+/** @type {NodeJS.Timeout|null} Scheduler interval */
+let schedulerInterval = null;
+
+/** @type {string} Quiet accounts at the last tick, to detect changes */
+let lastQuietKey = '';
+
+// =============================================================================
+// Rules
+// =============================================================================
+
+/**
+ * Converts an HH:MM time to minutes since midnight.
+ *
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validates and normalizes a list of rules.
+ *
+ * Invalid rules are dropped.
+ *
+ * @param {Object[]} rules - Raw rules
+ * @returns {Object[]} Valid rules
+ */
+function sanitizeRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  return rules
+    .filter(rule => rule && TIME_PATTERN.test(rule.start) && TIME_PATTERN.test(rule.end) && rule.start !== rule.end)
+    .map(rule => ({
+      days: [...new Set((Array.isArray(rule.days) ? rule.days : []).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort(),
+      start: rule.start,
+      end: rule.end
+    }))
+    .filter(rule => rule.days.length > 0)
+    .slice(0, MAX_RULES);
+}
+
+/**
+ * Returns the quiet-period rules of every account.
+ *
+ * Rules of accounts that are no longer registered are left out.
+ *
+ * @returns {Object.<string, Object[]>} Rules by account ID
+ */
+function getRules() {
+  const stored = store.get('dnd.rules', {});
+  const rules = {};
+
+  accounts.getAccounts().forEach(account => {
+    rules[account.id] = sanitizeRules(stored[account.id]);
+  });
+  return rules;
+}
+
+/**
+ * Replaces the quiet-period rules of all accounts.
+ *
+ * @param {Object.<string, Object[]>} rules - Rules by account ID
+ * @returns {void}
+ */
+function setRules(rules) {
+  const clean = {};
+
+  accounts.getAccounts().forEach(account => {
+    const accountRules = sanitizeRules(rules && rules[account.id]);
+    if (accountRules.length > 0) {
+      clean[account.id] = accountRules;
+    }
+  });
+
+  store.set('dnd.rules', clean);
+  checkForChanges(true);
+}
+
+/**
+ * Checks whether a rule covers the given moment.
+ *
+ * @param {Object} rule - Sanitized rule
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True if the moment falls in the rule's range
+ */
+function ruleMatches(rule, date) {
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(rule.start);
+  const end = toMinutes(rule.end);
+  const today = date.getDay();
+
+  if (start < end) {
+    return rule.days.includes(today) && now >= start && now < end;
+  }
+
+  // Range past midnight: the evening part belongs to today, the morning part to yesterday
+  const yesterday = (today + 6) % 7;
+  return (rule.days.includes(today) && now >= start) || (rule.days.includes(yesterday) && now < end);
+}
+
+// =============================================================================
+// Pause
+// =============================================================================
+
+/**
+ * Returns when the global pause ends.
+ *
+ * @returns {number|null} Timestamp (ms), or null if not paused
+ */
+function getPausedUntil() {
+  const until = store.get('dnd.pausedUntil', null);
+  return Number.isFinite(until) && until > Date.now() ? until : null;
+}
+
+/**
+ * Pauses notifications of all accounts for a duration.
+ *
+ * @param {number} duration - Pause length in milliseconds
+ * @returns {void}
+ */
+function pauseFor(duration) {
+  store.set('dnd.pausedUntil', Date.now() + duration);
+  checkForChanges(true);
+}
+
+/**
+ * Pauses notifications of all accounts until tomorrow morning.
+ *
+ * @returns {void}
+ */
+function pauseUntilTomorrow() {
+  const until = new Date();
+  until.setDate(until.getDate() + 1);
+  until.setHours(TOMORROW_HOUR, 0, 0, 0);
+
+  store.set('dnd.pausedUntil', until.getTime());
+  checkForChanges(true);
+}
+
+/**
+ * Ends the global pause.
+ *
+ * @returns {void}
+ */
+function resume() {
+  store.delete('dnd.pausedUntil');
+  checkForChanges(true);
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * Check if an account is in a quiet period.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {Date} [date=new Date()] - Moment to check
+ * @returns {boolean} True if notifications and badges should be suppressed
+ */
+function isQuiet(accountId, date = new Date()) {
+  if (getPausedUntil()) return true;
+
+  const rules = sanitizeRules(store.get('dnd.rules', {})[accountId]);
+  return rules.some(rule => ruleMatches(rule, date));
+}
+
+/**
+ * Removes quiet accounts from a map of unread counts.
+ *
+ * @param {Object.<string, number>} counts - Unread count per account ID
+ * @returns {Object.<string, number>} Counts with quiet accounts set to 0
+ */
+function filterCounts(counts) {
+  const filtered = {};
+  Object.entries(counts).forEach(([accountId, count]) => {
+    filtered[accountId] = isQuiet(accountId) ? 0 : count;
+  });
+  return filtered;
+}
+
+// =============================================================================
+// Scheduler
+// =============================================================================
+
+/**
+ * Invokes the onChange callback if the quiet state changed.
+ *
+ * @param {boolean} [force=false] - Notify even if nothing changed (settings were edited)
+ * @returns {void}
+ */
+function checkForChanges(force = false) {
+  const quiet = accounts.getAccounts().filter(account => isQuiet(account.id)).map(account => account.id);
+  const key = `${getPausedUntil() || ''}|${quiet.join(',')}`;
+
+  if (!force && key === lastQuietKey) return;
+  lastQuietKey = key;
+
+  if (onChangeCallback) {
+    onChangeCallback();
+  }
+}
+
+/**
+ * Starts the scheduler.
+ *
+ * @param {Function} onChange - Called whenever an account enters or leaves a quiet period
+ * @returns {void}
+ */
+function init(onChange) {
+  onChangeCallback = onChange;
+
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+  }
+  checkForChanges(true);
+  schedulerInterval = setInterval(() => checkForChanges(), CHECK_INTERVAL);
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  getRules,
+  setRules,
+  isQuiet,
+  filterCounts,
+  getPausedUntil,
+  pauseFor,
+  pauseUntilTomorrow,
+  resume
+};
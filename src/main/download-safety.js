@@ -0,0 +1,182 @@
+/**
+ * WhatsApp Dual - Download Safety Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module decides what happens to a download based on its file
+ * type. Anyone can send an attachment to a WhatsApp number, so files
+ * that run code when opened are blocked or need a confirmation:
+ *
+ * - blocked: Programs and scripts (.exe, .sh, .AppImage, .desktop, .jar, …).
+ *   The download is cancelled and shown as blocked in the download list.
+ * - confirm: Files that can carry code but are also sent legitimately,
+ *   such as macro-enabled Office documents and installer images. A
+ *   dialog asks before the download starts.
+ *
+ * Both lists are editable in Settings → Downloads. An extension in both
+ * lists is blocked. The extension is taken from the end of the name, so
+ * "invoice.pdf.exe" counts as .exe.
+ *
+ * Independently of the lists, saved files never keep the executable
+ * permission bit (Linux/macOS), so they cannot be run by double-clicking.
+ *
+ * Storage Format (electron-store):
+ * - downloads.safety: { blocked: ['exe', …], confirm: ['docm', …] }
+ *   (not stored while the defaults are in use)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Store = require('electron-store');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {string[]} Extensions blocked by default: programs, scripts and launchers */
+const DEFAULT_BLOCKED = [
+  'exe', 'msi', 'bat', 'cmd', 'com', 'scr', 'pif', 'vbs', 'ps1', 'lnk',
+  'jar', 'sh', 'run', 'appimage', 'desktop', 'command'
+];
+
+/** @type {string[]} Extensions that need confirmation by default: macro-enabled Office files and installers */
+const DEFAULT_CONFIRM = [
+  'docm', 'dotm', 'xlsm', 'xltm', 'xlam', 'pptm', 'potm', 'ppsm', 'ppam',
+  'deb', 'rpm', 'dmg', 'pkg', 'apk', 'iso'
+];
+
+/** @type {RegExp} Accepted extension format (lowercase, without the dot) */
+const EXTENSION_PATTERN = /^[a-z0-9]{1,16}$/;
+
+/** @type {number} Permission bits that make a file executable */
+const EXECUTE_BITS = 0o111;
+
+// =============================================================================
+// Policy
+// =============================================================================
+
+/**
+ * Normalizes an extension list: lowercase, no dots, no duplicates.
+ *
+ * @param {*} list - Extension list from the store or the settings window
+ * @returns {string[]|null} Clean list, or null if it is not an array
+ */
+function cleanList(list) {
+  if (!Array.isArray(list)) return null;
+
+  const clean = list
+    .filter(extension => typeof extension === 'string')
+    .map(extension => extension.trim().replace(/^\.+/, '').toLowerCase())
+    .filter(extension => EXTENSION_PATTERN.test(extension));
+  return [...new Set(clean)];
+}
+
+/**
+ * Returns the blocked and confirmation lists.
+ *
+ * @returns {{blocked: string[], confirm: string[]}} Policy
+ */
+function getPolicy() {
+  const saved = store.get('downloads.safety', {});
+  return {
+    blocked: cleanList(saved.blocked) || [...DEFAULT_BLOCKED],
+    confirm: cleanList(saved.confirm) || [...DEFAULT_CONFIRM]
+  };
+}
+
+/**
+ * Saves the blocked and confirmation lists.
+ *
+ * Invalid entries are dropped; a missing list keeps its current value.
+ * Extensions in both lists are only kept in the blocked list.
+ *
+ * @param {{blocked: string[], confirm: string[]}} policy - Policy from the settings window
+ * @returns {void}
+ */
+function setPolicy(policy) {
+  const current = getPolicy();
+  const blocked = cleanList(policy && policy.blocked) || current.blocked;
+  const confirm = (cleanList(policy && policy.confirm) || current.confirm)
+    .filter(extension => !blocked.includes(extension));
+
+  const isDefault = blocked.join() === DEFAULT_BLOCKED.join() && confirm.join() === DEFAULT_CONFIRM.join();
+  if (isDefault) {
+    store.delete('downloads.safety');
+  } else {
+    store.set('downloads.safety', { blocked, confirm });
+  }
+}
+
+/**
+ * Returns the extension a file name ends in.
+ *
+ * Trailing dots and spaces are ignored, since Windows drops them when
+ * saving ("setup.exe." is saved as "setup.exe").
+ *
+ * @param {string} filename - File name
+ * @returns {string} Lowercase extension without the dot, or '' if none
+ */
+function getExtension(filename) {
+  return path.extname(String(filename).replace(/[.\s]+$/, '')).slice(1).toLowerCase();
+}
+
+/**
+ * Decides what to do with a download.
+ *
+ * @param {string} filename - Suggested file name
+ * @returns {string} 'block', 'confirm' or 'allow'
+ */
+function getAction(filename) {
+  const extension = getExtension(filename);
+  if (!extension) return 'allow';
+
+  const policy = getPolicy();
+  if (policy.blocked.includes(extension)) return 'block';
+  if (policy.confirm.includes(extension)) return 'confirm';
+  return 'allow';
+}
+
+// =============================================================================
+// File Permissions
+// =============================================================================
+
+/**
+ * Removes the executable permission bits from a saved file.
+ *
+ * Does nothing on Windows, where the bits do not exist.
+ *
+ * @param {string} filePath - Saved file
+ * @returns {void}
+ */
+function stripExecutable(filePath) {
+  if (process.platform === 'win32' || !filePath) return;
+
+  try {
+    const { mode } = fs.statSync(filePath);
+    if (mode & EXECUTE_BITS) {
+      fs.chmodSync(filePath, mode & ~EXECUTE_BITS & 0o7777);
+    }
+  } catch (error) {
+    console.error(`Could not remove the executable bit from ${filePath}:`, error.message);
+  }
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  getPolicy,
+  setPolicy,
+  getExtension,
+  getAction,
+  stripExecutable
+};
@@ -0,0 +1,764 @@
+/**
+ * WhatsApp Dual - Downloads Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module tracks the files downloaded by every account and shows
+ * them in the Downloads window (Help → Downloads): progress, speed,
+ * pause/resume/cancel while a download is running, and open / show in
+ * folder once it has finished.
+ *
+ * Each account's session partition is hooked once; views recreated by
+ * the recovery or hibernation reuse the same session, so the hook is
+ * not added again.
+ *
+ * The overall progress of all running downloads is shown on the main
+ * window's taskbar/dock icon through the onProgress callback. A
+ * notification tells when a download has completed or failed, unless the
+ * account is in a do-not-disturb period or the downloads window has focus.
+ *
+ * Save Location (per account, Settings → Downloads):
+ * - mode: 'ask' shows the Save As dialog, opened in the account's folder;
+ *   'auto' saves straight into the folder
+ * - folder: Defaults to <Downloads>/WhatsApp Dual/<account name>, so the
+ *   files of different accounts never end up in the same folder
+ * - dateFolders: Save into a YYYY-MM sub-folder of the month
+ * Saving automatically never overwrites: "invoice.pdf" becomes
+ * "invoice (2).pdf" if the name is taken.
+ *
+ * Storage Format (electron-store):
+ * - downloads.locations: { [accountId]: { mode: 'auto', folder: '/path', dateFolders: true } }
+ *   (defaults are not stored)
+ * - history, in its own downloads.json: [{ id, accountId, accountName,
+ *   filename, savePath, totalBytes, receivedBytes, state, startTime,
+ *   endTime }] (newest first, at most 100 entries). It is rewritten on
+ *   every start and finish, so it is kept out of config.json, and the
+ *   download URL is not stored.
+ *
+ * state is 'progressing', 'completed', 'cancelled', 'interrupted' or
+ * 'blocked'. Downloads still running when the app quit are shown as
+ * interrupted. Which file types are blocked or need a confirmation is
+ * decided by download-safety.js.
+ *
+ * IPC Communication (downloads window only):
+ * - Handles: downloads:getAll
+ * - Receives: downloads:pause, downloads:resume, downloads:cancel,
+ *   downloads:open, downloads:showInFolder, downloads:remove, downloads:clear
+ * - Sends: downloads:update
+ */
+
+const { app, BrowserWindow, Notification, dialog, ipcMain, shell } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Store = require('electron-store');
+const i18n = require('../shared/i18n');
+const accounts = require('./accounts');
+const dnd = require('./dnd');
+const security = require('./security');
+const safety = require('./download-safety');
+const windowState = require('./window-state');
+
+// =============================================================================
+// Store Instances
+// =============================================================================
+const store = new Store();
+const historyStore = new Store({ name: 'downloads' });
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Maximum number of downloads kept in the history */
+const MAX_HISTORY = 100;
+
+/** @type {number} Minimum time between two updates of the window and progress bar (ms) */
+const UPDATE_THROTTLE = 250;
+
+/** @type {string[]} Save location modes */
+const SAVE_MODES = ['ask', 'auto'];
+
+/** @type {RegExp} Characters not allowed in folder names on any platform */
+const UNSAFE_NAME_CHARS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Object[]} Download records, newest first */
+let history = loadHistory();
+
+/**
+ * Running downloads by record ID.
+ *
+ * @type {Map<string, Electron.DownloadItem>}
+ */
+const activeItems = new Map();
+
+/** @type {WeakSet<Electron.Session>} Sessions whose downloads are already tracked */
+const hookedSessions = new WeakSet();
+
+/** @type {BrowserWindow|null} The downloads window */
+let downloadsWindow = null;
+
+/** @type {boolean} Whether the window is hidden by the lock screen */
+let hiddenForLock = false;
+
+/** @type {NodeJS.Timeout|null} Pending throttled update */
+let updateTimer = null;
+
+/** @type {Function|null} Shows the overall progress on the main window */
+let onProgressCallback = null;
+
+/** @type {Set<Notification>} Shown notifications, kept alive for their click handlers */
+const activeNotifications = new Set();
+
+// =============================================================================
+// History
+// =============================================================================
+
+/**
+ * Loads the saved history; downloads cut short by quitting are interrupted.
+ *
+ * @returns {Object[]} Download records
+ */
+function loadHistory() {
+  const saved = historyStore.get('history', []);
+  if (!Array.isArray(saved)) return [];
+
+  return saved.map(record => (
+    record.state === 'progressing'
+      ? { ...record, state: 'interrupted', endTime: record.endTime || Date.now() }
+      : record
+  ));
+}
+
+/**
+ * Saves the history, dropping the oldest finished downloads over the limit.
+ *
+ * @returns {void}
+ */
+function saveHistory() {
+  if (history.length > MAX_HISTORY) {
+    history = history.filter((record, index) => index < MAX_HISTORY || activeItems.has(record.id));
+  }
+  historyStore.set('history', history);
+}
+
+/**
+ * Returns a record by ID.
+ *
+ * @param {string} id - Record identifier
+ * @returns {Object|undefined} Download record
+ */
+function getRecord(id) {
+  return history.find(record => record.id === id);
+}
+
+/**
+ * Returns every download with its live state, for the window.
+ *
+ * Running downloads also carry their speed and paused/resumable flags.
+ * The account name follows renames; removed accounts keep the name they
+ * had when the download started.
+ *
+ * @returns {Object[]} Download list, newest first
+ */
+function getAll() {
+  return history.map(record => {
+    const item = activeItems.get(record.id);
+    const account = accounts.getAccount(record.accountId);
+    return {
+      ...record,
+      state: item ? item.getState() : record.state,
+      accountName: account ? accounts.getAccountDisplayName(account) : record.accountName,
+      active: !!item,
+      paused: item ? item.isPaused() : false,
+      canResume: item ? item.canResume() : false,
+      speed: item && !item.isPaused() ? item.getCurrentBytesPerSecond() : 0,
+      exists: record.state === 'completed' && !!record.savePath && fs.existsSync(record.savePath)
+    };
+  });
+}
+
+// =============================================================================
+// Progress
+// =============================================================================
+
+/**
+ * Computes the overall progress of the running downloads.
+ *
+ * @returns {{progress: number, mode: string}} -1 when nothing is running,
+ *   2 (indeterminate) when a size is unknown, otherwise 0…1
+ */
+function getOverallProgress() {
+  const items = [...activeItems.values()].filter(item => item.getState() === 'progressing');
+  if (items.length === 0) return { progress: -1, mode: 'none' };
+
+  const mode = items.every(item => item.isPaused()) ? 'paused' : 'normal';
+  if (items.some(item => item.getTotalBytes() <= 0)) return { progress: 2, mode: 'indeterminate' };
+
+  const received = items.reduce((sum, item) => sum + item.getReceivedBytes(), 0);
+  const total = items.reduce((sum, item) => sum + item.getTotalBytes(), 0);
+  return { progress: received / total, mode };
+}
+
+/**
+ * Refreshes the window and the progress bar now.
+ *
+ * @returns {void}
+ */
+function flushUpdate() {
+  clearTimeout(updateTimer);
+  updateTimer = null;
+
+  if (onProgressCallback) {
+    const { progress, mode } = getOverallProgress();
+    onProgressCallback(progress, mode);
+  }
+  if (downloadsWindow && !downloadsWindow.isDestroyed()) {
+    downloadsWindow.webContents.send('downloads:update', getAll());
+  }
+}
+
+/**
+ * Refreshes the window and the progress bar at most every UPDATE_THROTTLE ms.
+ *
+ * "updated" fires for every received chunk, far more often than needed.
+ *
+ * @returns {void}
+ */
+function scheduleUpdate() {
+  if (updateTimer) return;
+  updateTimer = setTimeout(flushUpdate, UPDATE_THROTTLE);
+}
+
+// =============================================================================
+// Save Location
+// =============================================================================
+
+/**
+ * Returns the default download folder of an account.
+ *
+ * <Downloads>/WhatsApp Dual/<account name>; the account ID is appended
+ * when two accounts have the same name.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {string} Absolute folder path
+ */
+function getDefaultFolder(accountId) {
+  const toFolderName = id => accounts.getAccountLabel(id).replace(UNSAFE_NAME_CHARS, '_').replace(/^[.\s]+|[.\s]+$/g, '');
+
+  const name = toFolderName(accountId) || accountId;
+  const isShared = accounts.getAccounts().some(account => account.id !== accountId && toFolderName(account.id) === name);
+
+  return path.join(app.getPath('downloads'), 'WhatsApp Dual', isShared ? `${name} (${accountId})` : name);
+}
+
+/**
+ * Returns the save location options of an account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {{mode: string, folder: string, dateFolders: boolean}} Options
+ */
+function getLocation(accountId) {
+  const saved = store.get('downloads.locations', {})[accountId] || {};
+  return {
+    mode: SAVE_MODES.includes(saved.mode) ? saved.mode : 'ask',
+    folder: typeof saved.folder === 'string' && path.isAbsolute(saved.folder) ? saved.folder : getDefaultFolder(accountId),
+    dateFolders: saved.dateFolders === true
+  };
+}
+
+/**
+ * Returns the save location options of every account.
+ *
+ * @returns {Object.<string, {mode: string, folder: string, dateFolders: boolean}>} Options by account ID
+ */
+function getAllLocations() {
+  const locations = {};
+  accounts.getAccounts().forEach(account => {
+    locations[account.id] = getLocation(account.id);
+  });
+  return locations;
+}
+
+/**
+ * Replaces the save location options of all accounts.
+ *
+ * Unknown accounts and invalid values are ignored; the default folder
+ * is not stored, so it follows the account name.
+ *
+ * @param {Object.<string, Object>} locations - Options by account ID
+ * @returns {void}
+ */
+function setAllLocations(locations) {
+  const clean = {};
+
+  accounts.getAccounts().forEach(account => {
+    const entry = (locations && locations[account.id]) || {};
+    const mode = SAVE_MODES.includes(entry.mode) ? entry.mode : 'ask';
+    const folder = typeof entry.folder === 'string' && path.isAbsolute(entry.folder)
+      && entry.folder !== getDefaultFolder(account.id) ? entry.folder : '';
+    const dateFolders = entry.dateFolders === true;
+
+    if (mode !== 'ask' || folder || dateFolders) {
+      clean[account.id] = { mode, folder, dateFolders };
+    }
+  });
+
+  store.set('downloads.locations', clean);
+}
+
+/**
+ * Forgets the save location of a removed account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function forget(accountId) {
+  const locations = store.get('downloads.locations', {});
+  if (!locations[accountId]) return;
+
+  delete locations[accountId];
+  store.set('downloads.locations', locations);
+}
+
+/**
+ * Returns a path in a folder that is neither taken on disk nor by a running download.
+ *
+ * "invoice.pdf" becomes "invoice (2).pdf", "invoice (3).pdf", …
+ *
+ * @param {string} folder - Target folder
+ * @param {string} filename - Suggested file name
+ * @returns {string} Free absolute path
+ */
+function getUniquePath(folder, filename) {
+  const reserved = new Set([...activeItems.values()].map(item => item.getSavePath()));
+  const extension = path.extname(filename);
+  const base = path.basename(filename, extension);
+
+  let candidate = path.join(folder, filename);
+  for (let counter = 2; fs.existsSync(candidate) || reserved.has(candidate); counter++) {
+    candidate = path.join(folder, `${base} (${counter})${extension}`);
+  }
+  return candidate;
+}
+
+/**
+ * Points a new download at the account's folder.
+ *
+ * In 'auto' mode the file is saved without asking; in 'ask' mode the
+ * Save As dialog opens in the folder. If the folder cannot be created
+ * the default dialog is shown.
+ *
+ * @param {string} accountId - Account the download belongs to
+ * @param {Electron.DownloadItem} item - The download
+ * @returns {void}
+ */
+function applyLocation(accountId, item) {
+  const location = getLocation(accountId);
+  let folder = location.folder;
+
+  if (location.dateFolders) {
+    const now = new Date();
+    folder = path.join(folder, `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`);
+  }
+
+  try {
+    fs.mkdirSync(folder, { recursive: true });
+  } catch (error) {
+    console.error(`Could not create download folder ${folder}:`, error.message);
+    return;
+  }
+
+  // Never trust the page for anything but the last path segment
+  const filename = path.basename(item.getFilename()) || 'download';
+
+  if (location.mode === 'auto') {
+    item.setSavePath(getUniquePath(folder, filename));
+  } else {
+    item.setSaveDialogOptions({ defaultPath: path.join(folder, filename) });
+  }
+}
+
+// =============================================================================
+// Download Tracking
+// =============================================================================
+
+/**
+ * Adds a new download to the history.
+ *
+ * @param {string} accountId - Account the download belongs to
+ * @param {Electron.DownloadItem} item - The download
+ * @param {string} state - Initial state
+ * @returns {Object} The new record
+ */
+function addRecord(accountId, item, state) {
+  const record = {
+    id: crypto.randomBytes(8).toString('hex'),
+    accountId,
+    accountName: accounts.getAccountDisplayName(accountId),
+    filename: item.getFilename(),
+    savePath: item.getSavePath(),
+    totalBytes: item.getTotalBytes(),
+    receivedBytes: 0,
+    state,
+    startTime: Date.now(),
+    endTime: state === 'progressing' ? null : Date.now()
+  };
+
+  history.unshift(record);
+  return record;
+}
+
+/**
+ * Starts tracking a new download of an account.
+ *
+ * @param {string} accountId - Account the download belongs to
+ * @param {Electron.DownloadItem} item - The download
+ * @returns {void}
+ */
+function track(accountId, item) {
+  const record = addRecord(accountId, item, 'progressing');
+  activeItems.set(record.id, item);
+  saveHistory();
+
+  item.on('updated', (event, state) => {
+    // The save path is only known once the user has picked it
+    record.savePath = item.getSavePath() || record.savePath;
+    record.filename = record.savePath ? path.basename(record.savePath) : record.filename;
+    record.totalBytes = item.getTotalBytes();
+    record.receivedBytes = item.getReceivedBytes();
+    if (state === 'interrupted') {
+      console.log(`Download interrupted: ${record.filename}`);
+    }
+    scheduleUpdate();
+  });
+
+  item.once('done', (event, state) => {
+    record.savePath = item.getSavePath() || record.savePath;
+    record.filename = record.savePath ? path.basename(record.savePath) : record.filename;
+    record.totalBytes = item.getTotalBytes();
+    record.receivedBytes = item.getReceivedBytes();
+    record.state = state;
+    record.endTime = Date.now();
+
+    if (state === 'completed') {
+      safety.stripExecutable(record.savePath);
+      console.log(`Download completed: ${record.filename}`);
+    } else {
+      console.log(`Download failed (${state}): ${record.filename}`);
+    }
+
+    activeItems.delete(record.id);
+    saveHistory();
+    flushUpdate();
+
+    // Cancelling is the user's own doing and needs no notification
+    if (state !== 'cancelled') {
+      notifyDone(record);
+    }
+  });
+
+  flushUpdate();
+}
+
+/**
+ * Tracks the downloads of an account's session.
+ *
+ * Safe to call for every view created for the account: a session is
+ * only hooked once.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {Electron.Session} session - The account's session
+ * @returns {void}
+ */
+function attach(accountId, session) {
+  if (hookedSessions.has(session)) return;
+  hookedSessions.add(session);
+
+  session.on('will-download', (event, item) => {
+    const action = safety.getAction(item.getFilename());
+
+    if (action === 'block' || (action === 'confirm' && !confirmDownload(accountId, item))) {
+      // The item is unusable after this tick, so the record is made right away
+      event.preventDefault();
+      addRecord(accountId, item, action === 'block' ? 'blocked' : 'cancelled');
+      saveHistory();
+      flushUpdate();
+      console.warn(`Download ${action === 'block' ? 'blocked' : 'declined'} (.${safety.getExtension(item.getFilename())}): ${item.getFilename()}`);
+      return;
+    }
+
+    applyLocation(accountId, item);
+    track(accountId, item);
+  });
+}
+
+/**
+ * Asks whether a file type that needs confirmation may be downloaded.
+ *
+ * The dialog is modal and synchronous: will-download has to decide
+ * before it returns.
+ *
+ * @param {string} accountId - Account the download belongs to
+ * @param {Electron.DownloadItem} item - The download
+ * @returns {boolean} True if the user chose to download the file
+ */
+function confirmDownload(accountId, item) {
+  const parent = BrowserWindow.getFocusedWindow();
+  const options = {
+    type: 'warning',
+    title: accounts.getAccountDisplayName(accountId),
+    message: i18n.t('downloads.confirmMessage', 'This type of file can harm your computer. Download it anyway?'),
+    detail: item.getFilename(),
+    buttons: [i18n.t('downloads.cancel', 'Cancel'), i18n.t('downloads.confirmDownload', 'Download')],
+    defaultId: 0,
+    cancelId: 0,
+    noLink: true
+  };
+
+  const response = parent ? dialog.showMessageBoxSync(parent, options) : dialog.showMessageBoxSync(options);
+  return response === 1;
+}
+
+// =============================================================================
+// Notifications
+// =============================================================================
+
+/**
+ * Shows a notification for a finished download.
+ *
+ * Clicking it shows the file in its folder (or opens the folder a
+ * failed download was going to). While the app is locked the file name
+ * is not shown and clicking does nothing.
+ *
+ * @param {Object} record - Finished download record
+ * @returns {void}
+ */
+function notifyDone(record) {
+  if (!Notification.isSupported() || dnd.isQuiet(record.accountId)) return;
+  if (downloadsWindow && !downloadsWindow.isDestroyed() && downloadsWindow.isFocused()) return;
+
+  const completed = record.state === 'completed';
+  const status = completed
+    ? i18n.t('downloads.notifyCompleted', 'Download completed')
+    : i18n.t('downloads.notifyFailed', 'Download failed');
+  const locked = security.isAppLocked();
+
+  const notification = new Notification({
+    title: `${accounts.getAccountDisplayName(record.accountId) || record.accountName} · ${status}`,
+    body: locked ? status : record.filename
+  });
+
+  notification.on('click', () => {
+    activeNotifications.delete(notification);
+    if (security.isAppLocked() || !record.savePath) return;
+
+    if (completed && fs.existsSync(record.savePath)) {
+      shell.showItemInFolder(record.savePath);
+    } else if (fs.existsSync(path.dirname(record.savePath))) {
+      shell.openPath(path.dirname(record.savePath));
+    }
+  });
+  notification.on('close', () => {
+    activeNotifications.delete(notification);
+  });
+
+  activeNotifications.add(notification);
+  notification.show();
+}
+
+// =============================================================================
+// Actions
+// =============================================================================
+
+/**
+ * Runs an action on a download, as requested by the window.
+ *
+ * @param {string} action - 'pause', 'resume', 'cancel', 'open',
+ *   'showInFolder' or 'remove'
+ * @param {string} id - Record identifier
+ * @returns {void}
+ */
+function runAction(action, id) {
+  const record = getRecord(id);
+  if (!record) return;
+  const item = activeItems.get(id);
+
+  switch (action) {
+    case 'pause':
+      if (item && !item.isPaused()) item.pause();
+      break;
+    case 'resume':
+      if (item && item.canResume()) item.resume();
+      break;
+    case 'cancel':
+      if (item) item.cancel();
+      break;
+    case 'open':
+      if (record.state === 'completed' && fs.existsSync(record.savePath)) {
+        shell.openPath(record.savePath).then(error => {
+          if (error) console.error(`Could not open ${record.savePath}: ${error}`);
+        });
+      }
+      break;
+    case 'showInFolder':
+      if (record.state === 'completed' && fs.existsSync(record.savePath)) {
+        shell.showItemInFolder(record.savePath);
+      }
+      break;
+    case 'remove':
+      // Running downloads stay in the list until they finish
+      if (!item) {
+        history = history.filter(entry => entry !== record);
+        saveHistory();
+      }
+      break;
+    default:
+      return;
+  }
+
+  flushUpdate();
+}
+
+/**
+ * Removes every finished download from the history.
+ *
+ * @returns {void}
+ */
+function clearFinished() {
+  history = history.filter(record => activeItems.has(record.id));
+  saveHistory();
+  flushUpdate();
+}
+
+// =============================================================================
+// Window
+// =============================================================================
+
+/**
+ * Opens the downloads window, or focuses it if already open.
+ *
+ * @param {BrowserWindow} parent - Main window
+ * @returns {void}
+ */
+function open(parent) {
+  if (downloadsWindow) {
+    downloadsWindow.focus();
+    return;
+  }
+
+  downloadsWindow = new BrowserWindow({
+    ...windowState.getWindowOptions('downloads', { width: 560, height: 480, minWidth: 420, minHeight: 320 }),
+    minWidth: 420,
+    minHeight: 320,
+    parent,
+    title: i18n.t('downloads.title', 'Downloads'),
+    icon: path.join(__dirname, '../../assets/icons/icon.png'),
+    minimizable: false,
+    maximizable: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'preload-downloads.js')
+    }
+  });
+
+  windowState.track('downloads', downloadsWindow);
+  downloadsWindow.setMenuBarVisibility(false);
+  downloadsWindow.loadFile(path.join(__dirname, '../renderer/downloads.html'));
+
+  downloadsWindow.on('closed', () => {
+    downloadsWindow = null;
+  });
+}
+
+/**
+ * Validates that an IPC request comes from the downloads window.
+ *
+ * @param {Electron.IpcMainEvent} event - IPC event
+ * @returns {boolean} True if sender is the downloads window (and the
+ *   lock screen is not hiding it)
+ */
+function isDownloadsSender(event) {
+  return !!downloadsWindow && !downloadsWindow.isDestroyed() && !hiddenForLock && downloadsWindow.webContents === event.sender;
+}
+
+// =============================================================================
+// Lock Screen Integration
+// =============================================================================
+
+/**
+ * Hides the downloads window while the app is locked, since it shows
+ * file names and can open the files.
+ *
+ * @returns {void}
+ */
+function hide() {
+  if (!downloadsWindow || downloadsWindow.isDestroyed() || !downloadsWindow.isVisible()) return;
+
+  hiddenForLock = true;
+  downloadsWindow.hide();
+}
+
+/**
+ * Shows the downloads window again after unlocking, if the lock hid it.
+ *
+ * @returns {void}
+ */
+function show() {
+  if (hiddenForLock && downloadsWindow && !downloadsWindow.isDestroyed()) {
+    downloadsWindow.show();
+  }
+  hiddenForLock = false;
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the IPC handlers of the downloads window.
+ *
+ * @param {Function} onProgress - Function(progress, mode) showing the overall
+ *   progress, with the values of BrowserWindow.setProgressBar()
+ * @returns {void}
+ */
+function init(onProgress) {
+  const firstInit = !onProgressCallback;
+  onProgressCallback = onProgress;
+  if (!firstInit) return;
+
+  ipcMain.handle('downloads:getAll', (event) => (isDownloadsSender(event) ? getAll() : []));
+
+  ['pause', 'resume', 'cancel', 'open', 'showInFolder', 'remove'].forEach(action => {
+    ipcMain.on(`downloads:${action}`, (event, id) => {
+      if (isDownloadsSender(event)) runAction(action, id);
+    });
+  });
+
+  ipcMain.on('downloads:clear', (event) => {
+    if (isDownloadsSender(event)) clearFinished();
+  });
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  attach,
+  open,
+  hide,
+  show,
+  getAllLocations,
+  setAllLocations,
+  forget
+};
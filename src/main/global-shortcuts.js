@@ -0,0 +1,248 @@
+/**
+ * WhatsApp Dual - Global Shortcuts Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module registers the optional system-wide keyboard shortcuts,
+ * which work while another application has focus:
+ * - toggle: Show or hide the window
+ * - account:<id>: Show an account (one entry per account)
+ * - lock: Lock the app
+ *
+ * Global shortcuts are off by default, since they take the key
+ * combination away from every other application. The user turns them
+ * on and records the combinations in Settings → Global shortcuts.
+ *
+ * Registration fails when another application already owns a
+ * combination; the result of each binding is kept so the settings
+ * window can show which ones did not work:
+ * - 'ok': Registered
+ * - 'conflict': Already taken by another application
+ * - 'invalid': Not a valid accelerator, or without Ctrl, Alt or
+ *   Super/Command (a global "Shift+A" would swallow "A" everywhere)
+ * - 'duplicate': Used by another binding of this app, in any modifier order
+ *
+ * Storage Format (electron-store):
+ * - globalShortcuts: { enabled: false, bindings: { toggle: 'Ctrl+Alt+W', 'account:business': 'Ctrl+Alt+2' } }
+ */
+
+const { globalShortcut } = require('electron');
+const Store = require('electron-store');
+const { normalizeAccelerator, hasRequiredModifier } = require('../shared/accelerators');
+const accounts = require('./accounts');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Longest accepted accelerator string */
+const MAX_ACCELERATOR_LENGTH = 64;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Function|null} Runs the command of a pressed shortcut */
+let runCommandCallback = null;
+
+/** @type {Object.<string, string>} Registration result per action */
+let status = {};
+
+/** @type {boolean} Whether registrations are suspended (while recording a shortcut) */
+let suspended = false;
+
+// =============================================================================
+// Actions
+// =============================================================================
+
+/**
+ * Returns the actions that can have a global shortcut.
+ *
+ * @returns {string[]} Action names, e.g. ['toggle', 'account:personal', …, 'lock']
+ */
+function getActions() {
+  return ['toggle', ...accounts.getAccounts().map(account => `account:${account.id}`), 'lock'];
+}
+
+/**
+ * Converts an action name into a command for main.js (see cli.js).
+ *
+ * @param {string} action - Action name
+ * @returns {{command: string, accountId: string|null}} Command
+ */
+function toCommand(action) {
+  if (action.startsWith('account:')) {
+    return { command: 'account', accountId: action.slice('account:'.length) };
+  }
+  return { command: action, accountId: null };
+}
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Returns the global shortcut settings and the last registration results.
+ *
+ * @returns {{enabled: boolean, bindings: Object.<string, string>, status: Object.<string, string>}} Settings
+ */
+function getSettings() {
+  const saved = store.get('globalShortcuts', {});
+  const savedBindings = saved.bindings || {};
+  const bindings = {};
+
+  getActions().forEach(action => {
+    bindings[action] = typeof savedBindings[action] === 'string' ? savedBindings[action] : '';
+  });
+
+  return { enabled: saved.enabled === true, bindings, status: { ...status } };
+}
+
+/**
+ * Saves the global shortcut settings and registers them again.
+ *
+ * @param {{enabled: boolean, bindings: Object.<string, string>}} settings - Settings from the settings window
+ * @returns {Object.<string, string>} Registration result per action
+ */
+function setSettings(settings) {
+  const bindings = {};
+  const input = (settings && settings.bindings) || {};
+
+  getActions().forEach(action => {
+    const accelerator = typeof input[action] === 'string' ? input[action].trim() : '';
+    if (accelerator && accelerator.length <= MAX_ACCELERATOR_LENGTH) {
+      bindings[action] = accelerator;
+    }
+  });
+
+  store.set('globalShortcuts', { enabled: !!(settings && settings.enabled === true), bindings });
+  return apply();
+}
+
+/**
+ * Forgets the shortcut of a removed account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function forget(accountId) {
+  const saved = store.get('globalShortcuts', {});
+  if (!saved.bindings || saved.bindings[`account:${accountId}`] === undefined) return;
+
+  delete saved.bindings[`account:${accountId}`];
+  store.set('globalShortcuts', saved);
+  apply();
+}
+
+// =============================================================================
+// Registration
+// =============================================================================
+
+/**
+ * Registers the saved shortcuts, replacing any previous registration.
+ *
+ * @returns {Object.<string, string>} Registration result per action
+ */
+function apply() {
+  globalShortcut.unregisterAll();
+  status = {};
+
+  const { enabled, bindings } = getSettings();
+  if (!enabled || suspended) return { ...status };
+
+  const used = new Set();
+  Object.entries(bindings).forEach(([action, accelerator]) => {
+    if (!accelerator) return;
+
+    if (!hasRequiredModifier(accelerator)) {
+      status[action] = 'invalid';
+      return;
+    }
+
+    const key = normalizeAccelerator(accelerator);
+    if (used.has(key)) {
+      status[action] = 'duplicate';
+      return;
+    }
+    used.add(key);
+
+    try {
+      const registered = globalShortcut.register(accelerator, () => {
+        if (runCommandCallback) runCommandCallback(toCommand(action));
+      });
+      status[action] = registered ? 'ok' : 'conflict';
+    } catch (error) {
+      // register() throws for strings that are not accelerators
+      status[action] = 'invalid';
+    }
+
+    if (status[action] !== 'ok') {
+      console.warn(`Global shortcut ${accelerator} (${action}): ${status[action]}`);
+    }
+  });
+
+  return { ...status };
+}
+
+/**
+ * Suspends or restores the registrations.
+ *
+ * While the settings window records a combination, registered global
+ * shortcuts would swallow the keys before the window sees them.
+ *
+ * @param {boolean} suspend - True to unregister, false to register again
+ * @returns {void}
+ */
+function setSuspended(suspend) {
+  suspended = !!suspend;
+  if (suspended) {
+    globalShortcut.unregisterAll();
+  } else {
+    apply();
+  }
+}
+
+/**
+ * Unregisters every shortcut, e.g. when the app quits.
+ *
+ * @returns {void}
+ */
+function unregisterAll() {
+  globalShortcut.unregisterAll();
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the saved shortcuts.
+ *
+ * @param {Function} runCommand - Function({command, accountId}) that runs a command
+ * @returns {void}
+ */
+function init(runCommand) {
+  runCommandCallback = runCommand;
+  apply();
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  getSettings,
+  setSettings,
+  setSuspended,
+  forget,
+  unregisterAll
+};
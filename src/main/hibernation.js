@@ -0,0 +1,212 @@
+/**
+ * WhatsApp Dual - Hibernation Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module decides which account views may be unloaded to save
+ * memory. The session partition (login, chats stored on disk) is always
+ * kept; only the loaded WhatsApp Web page is discarded and reloaded the
+ * next time the account is shown.
+ *
+ * Per-account options:
+ * - loadOnDemand: Do not load the account at startup, only when first shown
+ * - hibernateAfter: Unload the account after this many minutes in the
+ *   background (0 = never)
+ *
+ * An account with neither option is "always kept awake": it stays
+ * loaded, so its notifications and unread count keep working while it
+ * is in the background. Hibernated accounts have no unread count.
+ *
+ * Storage Format (electron-store):
+ * - hibernation: { [accountId]: { loadOnDemand: false, hibernateAfter: 30 } }
+ *
+ * A one-minute tick asks main.js (through the callbacks registered with
+ * init()) which accounts are in use and unloads those idle for too long.
+ */
+
+const Store = require('electron-store');
+const accounts = require('./accounts');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Idle check interval (ms) */
+const CHECK_INTERVAL = 60 * 1000;
+
+/** @type {number[]} Selectable "hibernate after" values in minutes (0 = never) */
+const HIBERNATE_OPTIONS = [0, 5, 15, 30, 60, 120];
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Object.<string, number>} Last time each account was in use (ms) */
+const lastActive = {};
+
+/** @type {number} Start time, used for accounts that were never shown */
+const startedAt = Date.now();
+
+/** @type {NodeJS.Timeout|null} Idle check interval */
+let checkInterval = null;
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Returns the hibernation options of an account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {{loadOnDemand: boolean, hibernateAfter: number}} Options
+ */
+function getSettings(accountId) {
+  const saved = store.get('hibernation', {})[accountId] || {};
+  return {
+    loadOnDemand: saved.loadOnDemand === true,
+    hibernateAfter: HIBERNATE_OPTIONS.includes(saved.hibernateAfter) ? saved.hibernateAfter : 0
+  };
+}
+
+/**
+ * Returns the hibernation options of every account.
+ *
+ * @returns {Object.<string, {loadOnDemand: boolean, hibernateAfter: number}>} Options by account ID
+ */
+function getAllSettings() {
+  const settings = {};
+  accounts.getAccounts().forEach(account => {
+    settings[account.id] = getSettings(account.id);
+  });
+  return settings;
+}
+
+/**
+ * Replaces the hibernation options of all accounts.
+ *
+ * Unknown accounts and invalid values are ignored; accounts that are
+ * always kept awake are not stored.
+ *
+ * @param {Object.<string, Object>} settings - Options by account ID
+ * @returns {void}
+ */
+function setAllSettings(settings) {
+  const clean = {};
+
+  accounts.getAccounts().forEach(account => {
+    const entry = (settings && settings[account.id]) || {};
+    const loadOnDemand = entry.loadOnDemand === true;
+    const hibernateAfter = HIBERNATE_OPTIONS.includes(entry.hibernateAfter) ? entry.hibernateAfter : 0;
+
+    if (loadOnDemand || hibernateAfter > 0) {
+      clean[account.id] = { loadOnDemand, hibernateAfter };
+    }
+  });
+
+  store.set('hibernation', clean);
+}
+
+/**
+ * Check if an account should be loaded when the app starts.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {boolean} False if the account is loaded on demand
+ */
+function shouldLoadAtStartup(accountId) {
+  return !getSettings(accountId).loadOnDemand;
+}
+
+/**
+ * Marks an account as just used, e.g. when its page is (re)loaded.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function touch(accountId) {
+  lastActive[accountId] = Date.now();
+}
+
+/**
+ * Forgets the state of a removed account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function forget(accountId) {
+  delete lastActive[accountId];
+
+  const saved = store.get('hibernation', {});
+  if (saved[accountId]) {
+    delete saved[accountId];
+    store.set('hibernation', saved);
+  }
+}
+
+// =============================================================================
+// Idle Check
+// =============================================================================
+
+/**
+ * Unloads accounts that have been in the background for too long.
+ *
+ * @param {Function} isInUse - Function(accountId) returning true while the account is shown
+ * @param {Function} isLoaded - Function(accountId) returning true if the account's page is loaded
+ * @param {Function} hibernate - Function(accountId) that unloads the account
+ * @returns {void}
+ */
+function checkIdleAccounts(isInUse, isLoaded, hibernate) {
+  const now = Date.now();
+
+  accounts.getAccounts().forEach(({ id }) => {
+    if (isInUse(id)) {
+      lastActive[id] = now;
+      return;
+    }
+
+    const { hibernateAfter } = getSettings(id);
+    if (hibernateAfter === 0 || !isLoaded(id)) return;
+
+    const idleSince = lastActive[id] || startedAt;
+    if (now - idleSince >= hibernateAfter * 60 * 1000) {
+      hibernate(id);
+    }
+  });
+}
+
+/**
+ * Starts the idle check.
+ *
+ * @param {Function} isInUse - Function(accountId) returning true while the account is shown
+ * @param {Function} isLoaded - Function(accountId) returning true if the account's page is loaded
+ * @param {Function} hibernate - Function(accountId) that unloads the account
+ * @returns {void}
+ */
+function init(isInUse, isLoaded, hibernate) {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+  }
+  checkInterval = setInterval(() => checkIdleAccounts(isInUse, isLoaded, hibernate), CHECK_INTERVAL);
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  HIBERNATE_OPTIONS,
+  init,
+  getSettings,
+  getAllSettings,
+  setAllSettings,
+  shouldLoadAtStartup,
+  touch,
+  forget
+};
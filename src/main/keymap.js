@@ -0,0 +1,214 @@
+/**
+ * WhatsApp Dual - Keymap Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module is the single source of the in-app keyboard shortcuts.
+ * The application menu, the pop-out window menu, the "Keyboard shortcuts"
+ * dialog and the shortcut editor in Settings all read their accelerators
+ * from here.
+ *
+ * Actions:
+ * - account1 … account9: Switch to the account at that position
+ * - preferences, lock, sideBySide, popOut, dock, reload, quit, commandPalette
+ *
+ * Only the shortcuts the user changed are stored; an empty string
+ * removes the shortcut of an action.
+ *
+ * Storage Format (electron-store):
+ * - keymap: { lock: 'Ctrl+Alt+L', reload: '' }
+ */
+
+const Store = require('electron-store');
+const i18n = require('../shared/i18n');
+const { normalizeAccelerator, hasRequiredModifier } = require('../shared/accelerators');
+const accounts = require('./accounts');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Number of accounts with a positional shortcut */
+const ACCOUNT_SHORTCUTS = 9;
+
+/**
+ * Actions with a default accelerator, in display order.
+ *
+ * Account actions refer to a position in the account registry; the
+ * others name the menu item (i18nKey/fallback) they trigger.
+ *
+ * @type {Object[]}
+ */
+const ACTIONS = [
+  ...Array.from({ length: ACCOUNT_SHORTCUTS }, (value, index) => ({
+    id: `account${index + 1}`,
+    accelerator: `CmdOrCtrl+${index + 1}`,
+    position: index
+  })),
+  { id: 'preferences', accelerator: 'CmdOrCtrl+,', i18nKey: 'menu.preferences', fallback: 'Preferences' },
+  { id: 'lock', accelerator: 'CmdOrCtrl+L', i18nKey: 'menu.lockNow', fallback: 'Lock now' },
+  { id: 'sideBySide', accelerator: 'CmdOrCtrl+Shift+S', i18nKey: 'menu.sideBySide', fallback: 'Side by side' },
+  { id: 'popOut', accelerator: 'CmdOrCtrl+Shift+O', i18nKey: 'menu.openInWindow', fallback: 'Open in separate window' },
+  { id: 'dock', accelerator: 'CmdOrCtrl+Shift+D', i18nKey: 'menu.returnToMain', fallback: 'Return to main window' },
+  { id: 'reload', accelerator: 'CmdOrCtrl+R', i18nKey: 'menu.reload', fallback: 'Reload' },
+  { id: 'quit', accelerator: 'CmdOrCtrl+Q', i18nKey: 'menu.quit', fallback: 'Quit' },
+  { id: 'commandPalette', accelerator: 'CmdOrCtrl+Shift+P', i18nKey: 'menu.commandPalette', fallback: 'Command palette' }
+];
+
+/** @type {RegExp} Accepted accelerator format: key names joined by "+" */
+const ACCELERATOR_PATTERN = /^[A-Za-z0-9]+(\+([A-Za-z0-9]+|[-=[\]\\;',./`]))*$/;
+
+/** @type {number} Longest accepted accelerator string */
+const MAX_ACCELERATOR_LENGTH = 64;
+
+// =============================================================================
+// Accelerators
+// =============================================================================
+
+/**
+ * Returns every action's accelerator, with the user's changes applied.
+ *
+ * @returns {Object.<string, string>} Accelerator by action ('' = none)
+ */
+function getKeymap() {
+  const saved = store.get('keymap', {});
+  const keymap = {};
+
+  ACTIONS.forEach(action => {
+    keymap[action.id] = typeof saved[action.id] === 'string' ? saved[action.id] : action.accelerator;
+  });
+  return keymap;
+}
+
+/**
+ * Returns the accelerator of an action, for menu item templates.
+ *
+ * @param {string} actionId - Action identifier
+ * @returns {string|undefined} Accelerator, or undefined if the action has none
+ */
+function getAccelerator(actionId) {
+  return getKeymap()[actionId] || undefined;
+}
+
+/**
+ * Returns the accelerator of an action as shown to the user, e.g. "Ctrl+,".
+ *
+ * @param {string} actionId - Action identifier
+ * @returns {string} Label, or '' if the action has no shortcut
+ */
+function getLabel(actionId) {
+  const accelerator = getKeymap()[actionId] || '';
+  return accelerator.replace(/\b(CmdOrCtrl|CommandOrControl)\b/g, process.platform === 'darwin' ? 'Cmd' : 'Ctrl');
+}
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Returns the actions for the shortcut editor in Settings.
+ *
+ * @returns {Object[]} { id, accelerator, defaultAccelerator } plus either
+ *   the account position or i18nKey/fallback to name the action
+ */
+function getEntries() {
+  const keymap = getKeymap();
+
+  return ACTIONS.map(action => ({
+    id: action.id,
+    accelerator: keymap[action.id],
+    defaultAccelerator: action.accelerator,
+    position: action.position,
+    i18nKey: action.i18nKey,
+    fallback: action.fallback
+  }));
+}
+
+/**
+ * Saves the shortcuts from the settings window.
+ *
+ * Invalid accelerators, combinations without Ctrl, Alt or Super/Command
+ * (other than F-keys) and unknown actions are ignored. Nothing is saved
+ * when two actions share a combination; the settings window reports
+ * these before saving. Account shortcuts only count for positions that
+ * have an account, as in the settings window.
+ *
+ * @param {Object.<string, string>} keymap - Accelerator by action ('' = none)
+ * @returns {boolean} True if the shortcuts were saved
+ */
+function setKeymap(keymap) {
+  const current = getKeymap();
+  const accountCount = accounts.getAccounts().length;
+  const used = new Set();
+  const saved = {};
+  let duplicate = false;
+
+  ACTIONS.forEach(action => {
+    let accelerator = keymap && typeof keymap[action.id] === 'string' ? keymap[action.id].trim() : current[action.id];
+    const valid = !accelerator || (accelerator.length <= MAX_ACCELERATOR_LENGTH &&
+      ACCELERATOR_PATTERN.test(accelerator) && hasRequiredModifier(accelerator));
+    if (!valid) accelerator = current[action.id];
+    if (accelerator !== action.accelerator) saved[action.id] = accelerator;
+
+    if (accelerator && (action.position === undefined || action.position < accountCount)) {
+      const key = normalizeAccelerator(accelerator);
+      if (used.has(key)) duplicate = true;
+      used.add(key);
+    }
+  });
+
+  if (duplicate) return false;
+
+  if (Object.keys(saved).length > 0) {
+    store.set('keymap', saved);
+  } else {
+    store.delete('keymap');
+  }
+  return true;
+}
+
+// =============================================================================
+// Help Text
+// =============================================================================
+
+/**
+ * Builds the text of the "Keyboard shortcuts" dialog.
+ *
+ * One "Ctrl+1 → Personal" line per action that has a shortcut; account
+ * shortcuts are only listed for positions that have an account.
+ *
+ * @returns {string} Dialog text
+ */
+function getHelpText() {
+  const registry = accounts.getAccounts();
+
+  return getEntries()
+    .filter(entry => entry.accelerator && (entry.position === undefined || entry.position < registry.length))
+    .map(entry => {
+      const name = entry.position !== undefined
+        ? accounts.getAccountDisplayName(registry[entry.position])
+        : i18n.t(entry.i18nKey, entry.fallback);
+      return `${getLabel(entry.id)} → ${name}`;
+    })
+    .join('\n');
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  getAccelerator,
+  getLabel,
+  getEntries,
+  setKeymap,
+  getHelpText
+};
@@ -0,0 +1,170 @@
+/**
+ * WhatsApp Dual - Launcher Badge Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module pushes the aggregated unread count to the desktop's
+ * launcher or dock, next to the tray badge.
+ *
+ * Integration Points:
+ * - app.setBadgeCount(): native badge where Electron supports it
+ * - com.canonical.Unity.LauncherEntry: D-Bus signal understood by
+ *   Ubuntu Dock, Dash-to-Dock, Plank and KDE task managers (Linux only)
+ * - BrowserWindow.flashFrame(): urgency hint when a new message
+ *   arrives while the window is hidden or minimized
+ *
+ * The D-Bus signal is emitted with the `gdbus` command line tool that
+ * ships with GLib, so no native Node module is required. When gdbus is
+ * not available the signal is silently skipped.
+ */
+
+const { app } = require('electron');
+const { execFile } = require('child_process');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * Desktop entry the launcher badge is attached to.
+ * Electron exposes it as CHROME_DESKTOP; electron-builder installs
+ * the app as whatsapp-dual.desktop.
+ * @constant {string}
+ */
+const DESKTOP_FILE = process.env.CHROME_DESKTOP || 'whatsapp-dual.desktop';
+
+/** @type {string} D-Bus object path for the launcher entry signal */
+const LAUNCHER_OBJECT_PATH = '/com/whatsapp_dual/launcherentry';
+
+/** @type {string} D-Bus signal name */
+const LAUNCHER_SIGNAL = 'com.canonical.Unity.LauncherEntry.Update';
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {number} Last count pushed to the launcher */
+let currentCount = 0;
+
+/** @type {boolean} Whether the urgency hint is currently set */
+let isUrgent = false;
+
+/** @type {boolean} Set once gdbus is found missing, to stop retrying */
+let gdbusMissing = false;
+
+// =============================================================================
+// Unity LauncherEntry (Linux)
+// =============================================================================
+
+/**
+ * Emits the Unity LauncherEntry Update signal on the session bus.
+ *
+ * @returns {void}
+ */
+function emitLauncherEntry() {
+  if (process.platform !== 'linux' || gdbusMissing) return;
+
+  const properties = `{'count': <int64 ${currentCount}>, 'count-visible': <${currentCount > 0}>, 'urgent': <${isUrgent}>}`;
+
+  execFile('gdbus', [
+    'emit',
+    '--session',
+    '--object-path', LAUNCHER_OBJECT_PATH,
+    '--signal', LAUNCHER_SIGNAL,
+    `application://${DESKTOP_FILE}`,
+    properties
+  ], (error) => {
+    if (!error) return;
+
+    if (error.code === 'ENOENT') {
+      gdbusMissing = true;
+    } else {
+      console.error('Error updating launcher entry:', error.message);
+    }
+  });
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Updates the launcher badge with the aggregated unread count.
+ *
+ * When a new message arrives while the window is hidden or minimized,
+ * the urgency hint is set on the launcher entry and the window.
+ *
+ * @param {number} count - Total unread count across all accounts
+ * @param {BrowserWindow|null} mainWindow - Main window, for the urgency hint
+ * @returns {void}
+ */
+function setUnreadCount(count, mainWindow) {
+  const previous = currentCount;
+  currentCount = Math.max(0, count);
+
+  try {
+    app.setBadgeCount(currentCount);
+  } catch (error) {
+    console.error('Error setting badge count:', error);
+  }
+
+  const windowHidden = !mainWindow || !mainWindow.isVisible() || mainWindow.isMinimized();
+  if (currentCount > previous && windowHidden) {
+    isUrgent = true;
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.flashFrame(true);
+    }
+  } else if (currentCount === 0) {
+    isUrgent = false;
+  }
+
+  emitLauncherEntry();
+}
+
+/**
+ * Clears the urgency hint once the user has looked at the window.
+ *
+ * @param {BrowserWindow|null} mainWindow - Main window
+ * @returns {void}
+ */
+function clearAttention(mainWindow) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.flashFrame(false);
+  }
+
+  if (!isUrgent) return;
+
+  isUrgent = false;
+  emitLauncherEntry();
+}
+
+/**
+ * Removes the badge from the launcher, e.g. before quitting.
+ *
+ * @returns {void}
+ */
+function clearBadge() {
+  currentCount = 0;
+  isUrgent = false;
+
+  try {
+    app.setBadgeCount(0);
+  } catch (error) {
+    // Ignore — the app is shutting down
+  }
+
+  emitLauncherEntry();
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  setUnreadCount,
+  clearAttention,
+  clearBadge
+};
@@ -0,0 +1,274 @@
+/**
+ * WhatsApp Dual - Split Layout Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module manages the side-by-side layout in which two account
+ * views are attached to the main window at once, separated by a
+ * draggable divider.
+ *
+ * Persisted Settings (electron-store):
+ * - layout.splitEnabled: Whether side-by-side mode is on
+ * - layout.splitOrientation: 'horizontal' (panes left/right) or
+ *   'vertical' (panes top/bottom)
+ * - layout.splitRatio: Share of the content area given to the first pane
+ * - layout.accountFrame: 'off', 'strip' (coloured strip above each view)
+ *   or 'border' (coloured border around each view)
+ *
+ * The divider itself is not a separate element: the gap between the two
+ * views exposes the main window's workspace page (workspace.html), which
+ * reports pointer drags back through IPC. The account colour frame works
+ * the same way: views are inset inside their pane and the workspace page
+ * paints the uncovered pixels in the account's colour.
+ */
+
+const Store = require('electron-store');
+const { SPLIT_CONFIG, FRAME_CONFIG } = require('../shared/constants');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Function|null} Callback invoked whenever the layout changes */
+let onChangeCallback = null;
+
+/** @type {number|null} Ratio while the divider is being dragged (not yet persisted) */
+let dragRatio = null;
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the callback that re-applies the layout.
+ *
+ * @param {Function} onChange - Called after any layout setting changes
+ * @returns {void}
+ */
+function init(onChange) {
+  onChangeCallback = onChange;
+}
+
+/**
+ * Notifies the registered callback of a layout change.
+ *
+ * @returns {void}
+ */
+function notifyChange() {
+  if (onChangeCallback) {
+    onChangeCallback();
+  }
+}
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Check if side-by-side mode is enabled.
+ *
+ * @returns {boolean} True if two views are shown at once
+ */
+function isSplitEnabled() {
+  return store.get('layout.splitEnabled', false);
+}
+
+/**
+ * Turns side-by-side mode on or off.
+ *
+ * @returns {void}
+ */
+function toggleSplit() {
+  store.set('layout.splitEnabled', !isSplitEnabled());
+  notifyChange();
+}
+
+/**
+ * Returns the split orientation.
+ *
+ * @returns {string} 'horizontal' (left/right) or 'vertical' (top/bottom)
+ */
+function getOrientation() {
+  return store.get('layout.splitOrientation', 'horizontal') === 'vertical' ? 'vertical' : 'horizontal';
+}
+
+/**
+ * Switches between horizontal and vertical orientation.
+ *
+ * @returns {void}
+ */
+function toggleOrientation() {
+  store.set('layout.splitOrientation', getOrientation() === 'vertical' ? 'horizontal' : 'vertical');
+  notifyChange();
+}
+
+/**
+ * Clamps a ratio to the allowed range.
+ *
+ * @param {number} ratio - Raw ratio
+ * @returns {number} Ratio between minRatio and maxRatio
+ */
+function clampRatio(ratio) {
+  if (!Number.isFinite(ratio)) return SPLIT_CONFIG.defaultRatio;
+  return Math.min(SPLIT_CONFIG.maxRatio, Math.max(SPLIT_CONFIG.minRatio, ratio));
+}
+
+/**
+ * Returns the current split ratio, including an in-progress drag.
+ *
+ * @returns {number} Share of the content area given to the first pane
+ */
+function getRatio() {
+  if (dragRatio !== null) return dragRatio;
+  return clampRatio(store.get('layout.splitRatio', SPLIT_CONFIG.defaultRatio));
+}
+
+// =============================================================================
+// Divider Dragging
+// =============================================================================
+
+/**
+ * Updates the ratio from a divider drag position.
+ *
+ * The ratio is only kept in memory until the drag ends, so dragging
+ * does not write to disk on every pointer move. The caller re-applies
+ * the view bounds afterwards.
+ *
+ * @param {{x: number, y: number}} position - Pointer position in content coordinates
+ * @param {{width: number, height: number}} contentSize - Main window content size
+ * @returns {void}
+ */
+function dragDivider(position, contentSize) {
+  const vertical = getOrientation() === 'vertical';
+  const offset = vertical ? position.y : position.x;
+  const length = vertical ? contentSize.height : contentSize.width;
+  if (!length) return;
+
+  dragRatio = clampRatio(offset / length);
+}
+
+/**
+ * Persists the ratio reached at the end of a divider drag.
+ *
+ * @returns {void}
+ */
+function endDividerDrag() {
+  if (dragRatio === null) return;
+
+  store.set('layout.splitRatio', dragRatio);
+  dragRatio = null;
+}
+
+// =============================================================================
+// Bounds Calculation
+// =============================================================================
+
+/**
+ * Computes the bounds of both panes for the given content size.
+ *
+ * @param {{width: number, height: number}} contentSize - Main window content size
+ * @returns {{first: Object, second: Object}} Bounds of the first and second pane
+ */
+function getPaneBounds(contentSize) {
+  const { width, height } = contentSize;
+  const divider = SPLIT_CONFIG.dividerSize;
+
+  if (getOrientation() === 'vertical') {
+    const firstHeight = Math.round((height - divider) * getRatio());
+    return {
+      first: { x: 0, y: 0, width, height: firstHeight },
+      second: { x: 0, y: firstHeight + divider, width, height: Math.max(0, height - firstHeight - divider) }
+    };
+  }
+
+  const firstWidth = Math.round((width - divider) * getRatio());
+  return {
+    first: { x: 0, y: 0, width: firstWidth, height },
+    second: { x: firstWidth + divider, y: 0, width: Math.max(0, width - firstWidth - divider), height }
+  };
+}
+
+// =============================================================================
+// Account Colour Frame
+// =============================================================================
+
+/** @type {string[]} Valid account frame styles */
+const FRAME_STYLES = ['off', 'strip', 'border'];
+
+/**
+ * Returns the account colour frame style.
+ *
+ * @returns {string} 'off', 'strip' or 'border'
+ */
+function getFrameStyle() {
+  const style = store.get('layout.accountFrame', 'off');
+  return FRAME_STYLES.includes(style) ? style : 'off';
+}
+
+/**
+ * Sets the account colour frame style.
+ *
+ * @param {string} style - 'off', 'strip' or 'border'
+ * @returns {boolean} True if the style was valid and saved
+ */
+function setFrameStyle(style) {
+  if (!FRAME_STYLES.includes(style)) return false;
+
+  store.set('layout.accountFrame', style);
+  notifyChange();
+  return true;
+}
+
+/**
+ * Shrinks a pane to the bounds of its view, leaving room for the frame.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} pane - Pane bounds
+ * @returns {{x: number, y: number, width: number, height: number}} View bounds
+ */
+function getFramedViewBounds(pane) {
+  const style = getFrameStyle();
+
+  if (style === 'strip') {
+    const strip = Math.min(FRAME_CONFIG.stripSize, pane.height);
+    return { x: pane.x, y: pane.y + strip, width: pane.width, height: pane.height - strip };
+  }
+
+  if (style === 'border') {
+    const border = FRAME_CONFIG.borderSize;
+    return {
+      x: pane.x + border,
+      y: pane.y + border,
+      width: Math.max(0, pane.width - border * 2),
+      height: Math.max(0, pane.height - border * 2)
+    };
+  }
+
+  return { ...pane };
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  isSplitEnabled,
+  toggleSplit,
+  getOrientation,
+  toggleOrientation,
+  getRatio,
+  dragDivider,
+  endDividerDrag,
+  getPaneBounds,
+  getFrameStyle,
+  setFrameStyle,
+  getFramedViewBounds
+};
@@ -7,35 +7,73 @@
  * @version 1.2.1
  *
  * This is the main Electron process that orchestrates the entire application.
- * It creates and manages the main window with two isolated BrowserViews,
- * one for WhatsApp Personal and one for WhatsApp Business.
+ * It creates and manages the main window with one isolated BrowserView
+ * per registered WhatsApp account (Personal and Business by default).
  *
  * Key responsibilities:
  * - Window creation and lifecycle management
- * - BrowserView management for dual WhatsApp sessions
- * - Account switching between Personal and Business
- * - File download handling for both sessions
+ * - BrowserView management for every registered WhatsApp session
+ * - Account switching, adding, removing and reordering
+ * - Side-by-side layout with two accounts visible at once
+ * - Popping accounts out into separate windows and docking them back
+ * - Restoring window size, position and maximized state between runs
+ * - Restoring the last used (or a fixed) account on startup
+ * - Account colour frame and typing confirmation after switching accounts
+ * - Native notifications attributed to the account they came from
+ * - Do-not-disturb periods for notifications and unread badges
+ * - Loading accounts on demand and hibernating idle ones
+ * - Recovering crashed or hung account views
+ * - Reloading account views after reconnecting or resuming
+ * - Task manager with per-account memory and CPU usage
+ * - Downloads window with progress and history for all sessions
+ * - Per-account download folders with optional automatic saving
+ * - Blocking or confirming risky download file types
+ * - Opening whatsapp:// and wa.me chat links in a chosen account
+ * - Command-line control of the running instance
+ * - Optional global shortcuts to show the window, accounts and lock
+ * - User-editable keyboard shortcuts for the menu
+ * - Command palette (Ctrl+Shift+P) that searches and runs every action
  * - System tray integration
- * - Global keyboard shortcuts
+ * - Launcher/dock unread badge
  * - IPC communication with renderer processes
  * - Auto-update checking
  *
  * Architecture:
  * The app uses Electron's BrowserView with isolated session partitions
- * (persist:whatsapp-personal and persist:whatsapp-business) to ensure
- * complete separation between the two WhatsApp accounts. Each partition
- * maintains its own cookies, localStorage, and session data.
+ * (persist:whatsapp-personal, persist:whatsapp-business, and one
+ * persist:whatsapp-<id> partition per added account) to ensure complete
+ * separation between WhatsApp accounts. Each partition maintains its own
+ * cookies, localStorage, and session data.
  */
 
 const { app, BrowserWindow, BrowserView, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const Store = require('electron-store');
-const { WHATSAPP_URL, ACCOUNTS, WINDOW_CONFIG } = require('../shared/constants');
+const { WHATSAPP_URL, WINDOW_CONFIG } = require('../shared/constants');
 const { createTray, destroyTray, updateContextMenu, setNotificationState } = require('./tray');
 const { createMenu } = require('./menu');
 const i18n = require('../shared/i18n');
 const updater = require('./updater');
 const security = require('./security');
+const accounts = require('./accounts');
+const launcher = require('./launcher');
+const layout = require('./layout');
+const popout = require('./popout');
+const windowState = require('./window-state');
+const notifications = require('./notifications');
+const dnd = require('./dnd');
+const hibernation = require('./hibernation');
+const recovery = require('./recovery');
+const connectivity = require('./connectivity');
+const taskManager = require('./task-manager');
+const downloads = require('./downloads');
+const downloadSafety = require('./download-safety');
+const chatLinks = require('./chat-links');
+const cli = require('./cli');
+const globalShortcuts = require('./global-shortcuts');
+const keymap = require('./keymap');
+const actions = require('./actions');
+const palette = require('./palette');
 
 // =============================================================================
 // Configuration and State
@@ -58,7 +96,22 @@ let settingsWindow = null;
 let views = {};
 
 /** @type {string} Currently active account ID */
-let currentAccount = ACCOUNTS.PERSONAL.id;
+let currentAccount = accounts.getFirstAccountId();
+
+/** @type {Object.<string, number>} Unread count per account ID, parsed from view titles */
+let unreadCounts = {};
+
+/** @type {string[]} Account IDs shown in the first and second pane in side-by-side mode */
+let splitAccounts = [];
+
+/** @type {string|null} Previously active account, used to fill the second pane */
+let previousAccount = null;
+
+/** @type {Set<string>} Accounts that need confirmation before the first keystroke */
+const typingConfirmPending = new Set();
+
+/** @type {boolean} Whether the typing confirmation dialog is open */
+let isConfirmingTyping = false;
 
 /** @type {boolean} Flag to track if app is in quitting state */
 let isQuitting = false;
@@ -69,6 +122,9 @@ let isShowingLockScreen = false;
 /** @type {BrowserWindow|null} Lock screen window */
 let lockWindow = null;
 
+/** @type {{phone: string, text: string}|null} Chat link waiting for the window or the unlock */
+let pendingChatLink = null;
+
 /**
  * Custom User-Agent string to avoid WhatsApp Web blocking.
  * WhatsApp Web may block requests from Electron's default user agent.
@@ -76,6 +132,132 @@ let lockWindow = null;
  */
 const USER_AGENT = `Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${process.versions.chrome} Safari/537.36`;
 
+// =============================================================================
+// Shared Helpers
+// =============================================================================
+
+/**
+ * Quits the app, setting the flag so minimize-to-tray doesn't block quit (B2 fix).
+ *
+ * @returns {void}
+ */
+function quitApp() {
+  isQuitting = true;
+  app.quit();
+}
+
+/**
+ * Reloads the active BrowserView, not the main window (B3 fix).
+ *
+ * A crashed view is recreated, which also resets its automatic recovery.
+ *
+ * @param {string} [accountId=currentAccount] - Account to reload instead of the active one
+ * @returns {void}
+ */
+function reloadActiveView(accountId = currentAccount) {
+  if (recovery.isUnhealthy(accountId)) {
+    recovery.retry(accountId);
+    return;
+  }
+
+  const view = ensureView(accountId);
+  if (view && view.webContents) {
+    view.webContents.reload();
+  }
+}
+
+/**
+ * Shows, restores and focuses the main window.
+ *
+ * @returns {void}
+ */
+function showMainWindow() {
+  if (!mainWindow) return;
+
+  if (!mainWindow.isVisible()) {
+    mainWindow.show();
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.focus();
+}
+
+/**
+ * Runs a command given on the command line (see cli.js) or by a
+ * global shortcut (see global-shortcuts.js).
+ *
+ * @param {{command: string, accountId: string|null}} command - Parsed command
+ * @returns {void}
+ */
+function runCommand({ command, accountId }) {
+  if (!mainWindow) return;
+
+  switch (command) {
+    case 'account':
+      // Popped-out accounts raise their own window in switchAccount()
+      if (!popout.isPoppedOut(accountId)) showMainWindow();
+      openNotificationAccount(accountId);
+      break;
+    case 'show':
+      showMainWindow();
+      break;
+    case 'hide':
+      mainWindow.hide();
+      break;
+    case 'toggle':
+      if (mainWindow.isVisible() && !mainWindow.isMinimized()) {
+        mainWindow.hide();
+      } else {
+        showMainWindow();
+      }
+      break;
+    case 'lock':
+      if (security.isPINEnabled()) {
+        security.lockApp();
+      } else {
+        console.warn('Cannot lock: no PIN is set up');
+      }
+      break;
+    case 'reload':
+      reloadActiveView(accountId || currentAccount);
+      break;
+    case 'quit':
+      quitApp();
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Returns the account to show when the app starts.
+ *
+ * With the "last used account" option the account that was active when
+ * the app was closed (or restarted for an update) is restored; otherwise,
+ * or if that account no longer exists, the fixed default account is used.
+ *
+ * @returns {string} Account ID
+ */
+function getStartupAccount() {
+  const candidates = [store.get('defaultAccount')];
+  if (store.get('startAccount', 'fixed') === 'last') {
+    candidates.unshift(store.get('lastAccount'));
+  }
+
+  return candidates.find(accountId => accountId && accounts.getAccount(accountId)) || accounts.getFirstAccountId();
+}
+
+/**
+ * Rebuilds the application menu with the current state and translations.
+ *
+ * @returns {void}
+ */
+function rebuildMenu() {
+  createMenu();
+  popout.refreshMenus();
+}
+
 // =============================================================================
 // Window Management
 // =============================================================================
@@ -84,22 +266,22 @@ const USER_AGENT = `Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, l
  * Creates the main application window and initializes all components.
  *
  * This function is the primary initialization point for the UI. It:
- * 1. Creates the main BrowserWindow with configured dimensions
+ * 1. Creates the main BrowserWindow with its saved (or default) geometry
  * 2. Sets up the application menu with i18n support
  * 3. Initializes the auto-updater
- * 4. Creates BrowserViews for both WhatsApp accounts
- * 5. Sets up the system tray
- * 6. Registers window event handlers
+ * 4. Creates BrowserViews for every registered WhatsApp account
+ * 5. Loads the workspace page that acts as the split divider
+ * 6. Sets up the system tray
+ * 7. Registers window event handlers
  *
  * @returns {void}
  */
 function createWindow() {
-  const defaultAccount = store.get('defaultAccount', ACCOUNTS.PERSONAL.id);
+  const startupAccount = getStartupAccount();
   const startMinimized = store.get('startMinimized', false);
 
   mainWindow = new BrowserWindow({
-    width: WINDOW_CONFIG.width,
-    height: WINDOW_CONFIG.height,
+    ...windowState.getWindowOptions('main', WINDOW_CONFIG),
     minWidth: WINDOW_CONFIG.minWidth,
     minHeight: WINDOW_CONFIG.minHeight,
     title: 'WhatsApp Dual',
@@ -107,41 +289,112 @@ function createWindow() {
     show: !startMinimized,
     webPreferences: {
       nodeIntegration: false,
-      contextIsolation: true
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'preload-workspace.js')
     }
   });
 
-  // Quit helper — sets flag so minimize-to-tray doesn't block quit (B2 fix)
-  const quitApp = () => { isQuitting = true; app.quit(); };
+  // Save geometry on move/resize/close and re-apply maximized/fullscreen
+  windowState.track('main', mainWindow);
+
+  // Workspace page behind the views; its visible gap is the split divider
+  mainWindow.loadFile(path.join(__dirname, '../renderer/workspace.html'));
+  mainWindow.webContents.on('did-finish-load', () => {
+    sendLayoutState();
+  });
+
+  // Keep the account title instead of the workspace page's <title>
+  mainWindow.on('page-title-updated', (event) => {
+    event.preventDefault();
+  });
 
-  // Reload helper — reloads the active BrowserView, not the main window (B3 fix)
-  const reloadActiveView = () => {
-    const view = views[currentAccount];
-    if (view && view.webContents) {
-      view.webContents.reload();
+  // Re-apply views, menu and divider whenever a layout setting changes
+  layout.init(() => {
+    attachViews();
+    rebuildMenu();
+  });
+
+  // Views coming back from a pop-out window are attached to the main window
+  popout.init(dockAccount);
+
+  // Page notifications are re-emitted natively; clicking one opens the account
+  notifications.init(getAccountForWebContents, openNotificationAccount);
+
+  // Crashed or hung views are reloaded/recreated; the overlay follows their status
+  recovery.init(reloadAccountView, recreateAccountView, attachViews, openNotificationAccount);
+
+  // Usage per account in Help → Task manager, plus the optional memory rule
+  taskManager.init(
+    () => Object.fromEntries(Object.entries(views).map(([accountId, view]) => [accountId, view.webContents])),
+    isAccountInUse,
+    reloadAccountView,
+    killAccountView
+  );
+
+  // Downloads window; overall progress is shown on the taskbar/dock icon
+  downloads.init((progress, mode) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.setProgressBar(progress, { mode });
     }
-  };
+  });
+
+  // Views are reloaded after the network comes back or the system resumes
+  // (crashed ones are left to the recovery); the tray shows each account's state
+  connectivity.init(
+    reloadAccountView,
+    () => Object.keys(views).filter(accountId => !recovery.isUnhealthy(accountId)),
+    () => updateContextMenu()
+  );
+
+  // Actions shared by the application menu, the tray and the command palette
+  actions.init({
+    getMainWindow: () => mainWindow,
+    showAccount: openNotificationAccount,
+    reloadAccount: reloadActiveView,
+    popOut: () => popOutAccount(),
+    openSettings: createSettingsWindow,
+    openTaskManager,
+    openDownloads,
+    openAbout: createAboutWindow,
+    openPalette,
+    quit: quitApp
+  });
+  palette.init();
 
   // Create custom menu
-  createMenu(switchAccount, createSettingsWindow, createAboutWindow, mainWindow, quitApp, reloadActiveView);
+  rebuildMenu();
 
   // Set up updater callback to rebuild menu when update is found
   updater.setUpdateStatusCallback((hasUpdate, info) => {
-    createMenu(switchAccount, createSettingsWindow, createAboutWindow, mainWindow, quitApp, reloadActiveView);
+    rebuildMenu();
     updateContextMenu();
   });
 
+  // Let windows close for the update restart instead of minimizing to tray
+  // (the active account is already persisted by setCurrentAccount())
+  updater.setBeforeInstallCallback(() => {
+    isQuitting = true;
+  });
+
   // Check for updates on startup (silent)
   updater.checkForUpdates(true);
 
-  // Create BrowserViews for each WhatsApp account
-  createWhatsAppViews();
+  // Create BrowserViews for each WhatsApp account (except those loaded on demand)
+  createWhatsAppViews(startupAccount);
+
+  // Set initial view based on the "Start with" setting (not a switch, so no typing confirmation)
+  currentAccount = startupAccount;
+  switchAccount(startupAccount);
 
-  // Set initial view based on default account setting
-  switchAccount(defaultAccount);
+  // Create system tray (its account, pause and quit entries run registry actions)
+  createTray(mainWindow);
 
-  // Create system tray (B1/B2 fix — pass switchAccount and quitApp callbacks)
-  createTray(mainWindow, switchAccount, quitApp);
+  // Refresh badges and the tray pause entry when a quiet period starts or ends
+  dnd.init(publishUnreadState);
+
+  // Unload background accounts that are set to hibernate
+  hibernation.init(isAccountInUse, accountId => !!views[accountId], hibernateAccount);
 
   // Handle window resize
   mainWindow.on('resize', () => {
@@ -152,6 +405,12 @@ function createWindow() {
   mainWindow.on('show', () => {
     updateViewBounds();
     updateContextMenu();
+    launcher.clearAttention(mainWindow);
+  });
+
+  // Clear the launcher urgency hint once the user looks at the window
+  mainWindow.on('focus', () => {
+    launcher.clearAttention(mainWindow);
   });
 
   // Handle close button - minimize to tray if enabled
@@ -167,6 +426,9 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
+
+    // Pop-out windows cannot outlive the main window
+    popout.getPoppedOutIds().forEach(accountId => popout.discard(accountId));
   });
 
   mainWindow.on('hide', () => {
@@ -179,28 +441,54 @@ function createWindow() {
 // =============================================================================
 
 /**
- * Checks if either WhatsApp view has unread messages.
+ * Collects the unread count of every WhatsApp view.
  *
  * WhatsApp Web shows unread count in the page title as "(X) WhatsApp"
- * where X is the number of unread messages/chats.
+ * where X is the number of unread messages/chats. The parsed counts are
+ * pushed to the tray (icon, tooltip, menu), the window title and the
+ * launcher/dock badge.
  *
  * @returns {void}
  */
 function checkForUnreadMessages() {
-  const unreadPattern = /^\(\d+\)/;
-  let hasUnread = false;
-
-  // Check both views for unread messages
-  Object.values(views).forEach(view => {
-    if (view && view.webContents) {
-      const title = view.webContents.getTitle();
-      if (unreadPattern.test(title)) {
-        hasUnread = true;
+  const unreadPattern = /^\((\d+)\)/;
+  const counts = {};
+
+  // Parse the count out of every account view title
+  Object.entries(views).forEach(([accountId, view]) => {
+    let count = 0;
+    if (view && view.webContents && !view.webContents.isDestroyed()) {
+      const match = unreadPattern.exec(view.webContents.getTitle());
+      if (match) {
+        count = parseInt(match[1], 10);
       }
     }
+    counts[accountId] = count;
   });
 
-  setNotificationState(hasUnread);
+  // Only propagate when a count actually changed
+  if (JSON.stringify(counts) === JSON.stringify(unreadCounts)) return;
+
+  unreadCounts = counts;
+  updateWindowTitle();
+  publishUnreadState();
+}
+
+/**
+ * Pushes the unread counts to the tray and the launcher/dock badge.
+ *
+ * Accounts in a do-not-disturb period are left out, so they neither
+ * badge the icon nor request attention. Called when the counts change
+ * and whenever an account enters or leaves a quiet period.
+ *
+ * @returns {void}
+ */
+function publishUnreadState() {
+  const counts = dnd.filterCounts(unreadCounts);
+  setNotificationState(counts);
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  launcher.setUnreadCount(total, mainWindow);
 }
 
 /**
@@ -265,39 +553,10 @@ function setupExternalLinkHandler(webContents) {
   });
 }
 
-/**
- * Configures file download handling for a BrowserView's session.
- *
- * Attaches a 'will-download' listener to the session so that file downloads
- * from WhatsApp Web (images, documents, audio, video) are handled properly.
- * By not calling item.setSavePath(), Electron shows a native "Save As" dialog
- * that lets the user choose where to save the file.
- *
- * @param {Electron.WebContents} webContents - The webContents whose session to configure
- * @returns {void}
- */
-function setupDownloadHandler(webContents) {
-  webContents.session.on('will-download', (event, item) => {
-    item.on('updated', (event, state) => {
-      if (state === 'interrupted') {
-        console.log(`Download interrupted: ${item.getFilename()}`);
-      }
-    });
-
-    item.once('done', (event, state) => {
-      if (state === 'completed') {
-        console.log(`Download completed: ${item.getFilename()}`);
-      } else {
-        console.log(`Download failed (${state}): ${item.getFilename()}`);
-      }
-    });
-  });
-}
-
 /**
  * Creates a single isolated BrowserView for a WhatsApp account.
  *
- * @param {Object} accountConfig - Account configuration from ACCOUNTS
+ * @param {Object} accountConfig - Account entry from the account registry
  * @param {string} accountConfig.partition - Session partition name
  * @returns {BrowserView} The configured BrowserView
  */
@@ -307,57 +566,433 @@ function createAccountView(accountConfig) {
       partition: accountConfig.partition,
       nodeIntegration: false,
       contextIsolation: true,
-      sandbox: true
+      sandbox: true,
+      // Routes WhatsApp Web notifications through the main process
+      preload: path.join(__dirname, 'preload-view.js')
     }
   });
 
   view.webContents.setUserAgent(USER_AGENT);
+  recovery.watch(accountConfig.id, view.webContents);
+  connectivity.watch(accountConfig.id, view.webContents);
   view.webContents.loadURL(WHATSAPP_URL);
   setupExternalLinkHandler(view.webContents);
-  setupDownloadHandler(view.webContents);
+  // Downloads go to the account's folder and are listed in Help → Downloads
+  downloads.attach(accountConfig.id, view.webContents.session);
 
   view.webContents.on('page-title-updated', () => {
     checkForUnreadMessages();
   });
 
+  // In side-by-side mode, the pane the user clicks into becomes the active account
+  view.webContents.on('focus', () => {
+    if (layout.isSplitEnabled() && splitAccounts.includes(accountConfig.id) && currentAccount !== accountConfig.id) {
+      setCurrentAccount(accountConfig.id);
+      updateWindowTitle();
+    }
+  });
+
+  // Optionally confirm the first keystroke after switching to this account
+  view.webContents.on('before-input-event', (event, input) => {
+    confirmTyping(event, input, accountConfig.id);
+  });
+
   return view;
 }
 
 /**
- * Creates isolated BrowserViews for Personal and Business WhatsApp accounts.
+ * Returns the account a view's webContents belongs to.
+ *
+ * @param {Electron.WebContents} webContents - webContents to look up
+ * @returns {string|null} Account ID, or null if it is not an account view
+ */
+function getAccountForWebContents(webContents) {
+  return Object.keys(views).find(accountId => views[accountId].webContents === webContents) || null;
+}
+
+/**
+ * Shows the account a clicked notification belongs to.
+ *
+ * While the lock screen is showing only the lock screen is brought up
+ * and the chat is not opened.
+ *
+ * @param {string} accountId - Account the notification belongs to
+ * @returns {boolean} True if the page should open the notification's chat
+ */
+function openNotificationAccount(accountId) {
+  if (isShowingLockScreen) {
+    if (mainWindow) mainWindow.show();
+    if (lockWindow) lockWindow.focus();
+    return false;
+  }
+
+  // Popped-out accounts raise their own window in switchAccount()
+  if (mainWindow && !popout.isPoppedOut(accountId)) {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+  switchAccount(accountId);
+  return true;
+}
+
+/**
+ * Opens the chat of a whatsapp:// or wa.me link.
+ *
+ * The account comes from the chat link rule (or a dialog asking for
+ * it). Links that arrive before the window exists or while the lock
+ * screen is showing are kept and opened afterwards.
+ *
+ * @param {{phone: string, text: string}} link - Parsed chat link
+ * @returns {Promise<void>}
+ */
+async function openChatLink(link) {
+  if (!mainWindow || isShowingLockScreen) {
+    pendingChatLink = link;
+    return;
+  }
+
+  const accountId = await chatLinks.chooseAccount(mainWindow, link);
+  if (!accountId || !accounts.getAccount(accountId)) return;
+
+  // The lock may have come on while the dialog was open
+  if (isShowingLockScreen) {
+    pendingChatLink = link;
+    return;
+  }
+
+  openNotificationAccount(accountId);
+  ensureView(accountId).webContents.loadURL(chatLinks.getSendURL(link));
+}
+
+/**
+ * Creates isolated BrowserViews for the registered WhatsApp accounts.
  *
  * Each BrowserView uses a separate session partition to ensure complete
  * isolation between accounts (cookies, localStorage, login sessions).
+ * Accounts set to load on demand are skipped, except the one shown at
+ * startup; ensureView() creates them when they are first shown.
  *
+ * @param {string} startupAccount - Account shown when the app starts
  * @returns {void}
  */
-function createWhatsAppViews() {
-  views.personal = createAccountView(ACCOUNTS.PERSONAL);
-  views.business = createAccountView(ACCOUNTS.BUSINESS);
+function createWhatsAppViews(startupAccount) {
+  accounts.getAccounts().forEach(account => {
+    if (account.id === startupAccount || hibernation.shouldLoadAtStartup(account.id)) {
+      ensureView(account.id);
+    }
+  });
 }
 
 /**
- * Updates the bounds of all BrowserViews to match the window size.
+ * Returns the BrowserView of an account, creating it if it is not loaded.
  *
- * Called whenever the window is resized to ensure BrowserViews
- * fill the entire content area.
+ * Accounts loaded on demand or hibernated have no view until they are
+ * shown again; their session partition keeps them logged in.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {BrowserView|null} The view, or null if the account does not exist
+ */
+function ensureView(accountId) {
+  if (views[accountId]) return views[accountId];
+
+  const account = accounts.getAccount(accountId);
+  if (!account) return null;
+
+  views[accountId] = createAccountView(account);
+  hibernation.touch(accountId);
+  return views[accountId];
+}
+
+/**
+ * Check if an account is shown in the main window or a pop-out window.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {boolean} True if the account must stay loaded
+ */
+function isAccountInUse(accountId) {
+  return accountId === currentAccount || popout.isPoppedOut(accountId) || getVisibleAccounts().includes(accountId);
+}
+
+/**
+ * Unloads a background account to free memory.
+ *
+ * The view is destroyed but the session partition is kept, so the
+ * account is reloaded without logging in again the next time it is
+ * shown. Its unread count is no longer tracked until then.
+ *
+ * @param {string} accountId - Account to hibernate
+ * @returns {void}
+ */
+function hibernateAccount(accountId) {
+  if (!views[accountId] || isAccountInUse(accountId)) return;
+
+  unloadAccountView(accountId);
+}
+
+/**
+ * Destroys the view of an account and forgets its page state.
+ *
+ * @param {string} accountId - Account to unload
+ * @returns {void}
+ */
+function unloadAccountView(accountId) {
+  recovery.forget(accountId);
+  connectivity.forget(accountId);
+  destroyAccountView(accountId);
+  checkForUnreadMessages();
+  updateContextMenu();
+}
+
+/**
+ * Ends the renderer process of an account (task manager).
+ *
+ * The process is crashed rather than asked to close, which a hung page
+ * would not answer. An account that is shown gets a fresh view right
+ * away; a background account stays unloaded until it is shown again,
+ * like a hibernated one.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function killAccountView(accountId) {
+  const view = views[accountId];
+  if (!view) return;
+
+  console.log(`Account ${accountId}: process ended from the task manager`);
+  // Forgotten first, so the crash is not handled as a failure by the recovery
+  recovery.forget(accountId);
+  if (!view.webContents.isDestroyed()) {
+    view.webContents.forcefullyCrashRenderer();
+  }
+  if (isAccountInUse(accountId)) {
+    recreateAccountView(accountId);
+  } else {
+    unloadAccountView(accountId);
+  }
+}
+
+/**
+ * Reloads the page of an account view (automatic crash recovery).
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function reloadAccountView(accountId) {
+  const view = views[accountId];
+  if (view && !view.webContents.isDestroyed()) {
+    view.webContents.reload();
+  }
+}
+
+/**
+ * Replaces the view of an account with a new one (crash recovery).
+ *
+ * The session partition is reused, so the account stays logged in. A
+ * popped-out account gets a new pop-out window for its new view.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function recreateAccountView(accountId) {
+  if (isQuitting || !accounts.getAccount(accountId)) return;
+
+  const wasPoppedOut = popout.isPoppedOut(accountId);
+  destroyAccountView(accountId);
+  const view = ensureView(accountId);
+
+  if (wasPoppedOut) {
+    popout.open(accountId, view, getAccountTitle(accountId));
+  }
+  attachViews();
+  checkForUnreadMessages();
+}
+
+/**
+ * Detaches and destroys the BrowserView of an account.
+ *
+ * The session partition on disk is left untouched.
+ *
+ * @param {string} accountId - Account whose view should be destroyed
+ * @returns {void}
+ */
+function destroyAccountView(accountId) {
+  const view = views[accountId];
+  if (!view) return;
+
+  popout.discard(accountId);
+  if (mainWindow && mainWindow.getBrowserViews().includes(view)) {
+    mainWindow.removeBrowserView(view);
+  }
+  if (!view.webContents.isDestroyed()) {
+    view.webContents.close();
+  }
+  delete views[accountId];
+}
+
+/**
+ * Propagates account registry changes to the menu, tray and workspace.
+ *
+ * @returns {void}
+ */
+function refreshAccounts() {
+  rebuildMenu();
+  updateContextMenu();
+  sendLayoutState();
+}
+
+/**
+ * Returns the accounts whose views live in the main window.
+ *
+ * @returns {string[]} Docked account IDs in registry order
+ */
+function getDockedAccounts() {
+  return accounts.getAccounts()
+    .map(account => account.id)
+    .filter(id => !popout.isPoppedOut(id));
+}
+
+/**
+ * Returns the account IDs that should be visible in the main window.
+ *
+ * In side-by-side mode this is the pair in splitAccounts (the second pane
+ * is filled with the previously active or next docked account);
+ * otherwise only the current account. Popped-out accounts are never
+ * shown in the main window.
+ *
+ * @returns {string[]} Visible account IDs, in pane order
+ */
+function getVisibleAccounts() {
+  const docked = getDockedAccounts();
+
+  if (!layout.isSplitEnabled()) {
+    return docked.includes(currentAccount) ? [currentAccount] : [];
+  }
+
+  const first = docked.includes(splitAccounts[0]) ? splitAccounts[0] : currentAccount;
+  if (!docked.includes(first)) {
+    splitAccounts = [];
+    return splitAccounts;
+  }
+
+  let second = splitAccounts[1];
+  if (!second || second === first || !docked.includes(second)) {
+    const fallback = previousAccount !== first && docked.includes(previousAccount) ? previousAccount : null;
+    second = fallback || docked.find(id => id !== first) || null;
+  }
+
+  splitAccounts = second ? [first, second] : [first];
+  return splitAccounts;
+}
+
+/**
+ * Attaches exactly the visible account views to the main window.
+ *
+ * Views that should no longer be visible are removed; nothing is
+ * attached while the lock screen is showing.
+ *
+ * @returns {void}
+ */
+function attachViews() {
+  if (!mainWindow || isShowingLockScreen) return;
+
+  // Hibernated or not yet loaded accounts are loaded when they become visible;
+  // crashed ones stay detached so the workspace page shows the Reload overlay
+  const visible = getVisibleAccounts()
+    .filter(accountId => !recovery.isUnhealthy(accountId))
+    .map(ensureView)
+    .filter(Boolean);
+
+  // Remove views that are no longer visible (Q5 — uses non-deprecated getBrowserViews())
+  mainWindow.getBrowserViews()
+    .filter(view => !visible.includes(view))
+    .forEach(view => mainWindow.removeBrowserView(view));
+
+  const attached = mainWindow.getBrowserViews();
+  visible
+    .filter(view => !attached.includes(view))
+    .forEach(view => mainWindow.addBrowserView(view));
+
+  updateViewBounds();
+}
+
+/**
+ * Updates the bounds of the attached BrowserViews to match the window size.
+ *
+ * Called whenever the window is resized or the layout changes. The
+ * workspace page is updated as well, since it draws the divider gap and
+ * the account colour frames around the views.
  *
  * @returns {void}
  */
 function updateViewBounds() {
   if (!mainWindow) return;
 
+  // Views are inset inside their pane when the account colour frame is on
+  getPaneLayout().forEach(({ accountId, bounds }) => {
+    views[accountId].setBounds(layout.getFramedViewBounds(bounds));
+  });
+
+  sendLayoutState();
+}
+
+/**
+ * Returns the pane of every visible account in the main window.
+ *
+ * A single view fills the entire content area; in side-by-side mode
+ * the two panes share it according to the split ratio.
+ *
+ * @returns {{accountId: string, bounds: Object}[]} Panes in order
+ */
+function getPaneLayout() {
   const bounds = mainWindow.getContentBounds();
+  const visible = getVisibleAccounts().filter(accountId => views[accountId]);
+
+  if (visible.length === 2) {
+    const panes = layout.getPaneBounds(bounds);
+    return [
+      { accountId: visible[0], bounds: panes.first },
+      { accountId: visible[1], bounds: panes.second }
+    ];
+  }
 
-  const viewBounds = {
-    x: 0,
-    y: 0,
-    width: bounds.width,
-    height: bounds.height
-  };
+  return visible.map(accountId => ({
+    accountId,
+    bounds: { x: 0, y: 0, width: bounds.width, height: bounds.height }
+  }));
+}
 
-  Object.values(views).forEach(view => {
-    view.setBounds(viewBounds);
+/**
+ * Sends the current layout to the workspace page behind the views.
+ *
+ * Besides the split state this includes one coloured frame per pane
+ * when the account colour frame is enabled, and a Reload overlay for
+ * each pane whose view crashed (neither while locked).
+ *
+ * @returns {void}
+ */
+function sendLayoutState() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+
+  const panes = getPaneLayout();
+  const showFrames = layout.getFrameStyle() !== 'off' && !isShowingLockScreen;
+
+  mainWindow.webContents.send('layout:update', {
+    split: panes.length === 2,
+    orientation: layout.getOrientation(),
+    frames: showFrames
+      ? panes.map(({ accountId, bounds }) => ({ ...bounds, color: accounts.getAccountColor(accountId) }))
+      : [],
+    overlays: isShowingLockScreen ? [] : panes
+      .filter(({ accountId }) => recovery.isUnhealthy(accountId))
+      .map(({ accountId, bounds }) => ({
+        accountId,
+        ...bounds,
+        title: accounts.getAccountDisplayName(accountId),
+        message: recovery.getStatus(accountId) === 'failed'
+          ? i18n.t('recovery.failed', 'This account keeps crashing. Automatic recovery stopped.')
+          : i18n.t('recovery.crashed', 'This account crashed. Reloading…'),
+        action: i18n.t('recovery.reload', 'Reload')
+      }))
   });
 }
 
@@ -369,29 +1004,195 @@ function updateViewBounds() {
  * Switches the active WhatsApp account view.
  *
  * This function handles the core functionality of switching between
- * Personal and Business accounts by:
- * 1. Removing the currently visible BrowserView
- * 2. Adding the target account's BrowserView
+ * registered accounts by:
+ * 1. Replacing the visible BrowserView with the target account's view
+ *    (a popped-out account's window is raised instead)
+ *    (in side-by-side mode, the active pane is replaced unless the
+ *    account is already visible in the other pane)
+ * 2. Focusing the target view
  * 3. Updating the window title to reflect the active account
  *
- * @param {string} accountId - The account to switch to ('personal' or 'business')
+ * @param {string} accountId - The registry id of the account to switch to
  * @returns {void}
  */
 function switchAccount(accountId) {
-  if (!mainWindow || !views[accountId]) return;
+  if (!mainWindow || !accounts.getAccount(accountId)) return;
 
-  currentAccount = accountId;
+  // Popped-out accounts are shown by raising their own window
+  if (popout.isPoppedOut(accountId)) {
+    popout.focus(accountId);
+    return;
+  }
 
-  // Remove all current views (Q5 — uses non-deprecated getBrowserViews())
-  mainWindow.getBrowserViews().forEach(v => mainWindow.removeBrowserView(v));
+  if (layout.isSplitEnabled() && !splitAccounts.includes(accountId)) {
+    const activePane = Math.max(0, splitAccounts.indexOf(currentAccount));
+    splitAccounts[activePane] = accountId;
+  }
 
-  // Add new view
-  mainWindow.addBrowserView(views[accountId]);
-  updateViewBounds();
+  setCurrentAccount(accountId);
+  attachViews();
+
+  if (layout.isSplitEnabled() && !isShowingLockScreen) {
+    views[accountId].webContents.focus();
+  }
 
-  // Update window title
-  const accountName = accountId === 'personal' ? 'Personal' : 'Business';
-  mainWindow.setTitle(`WhatsApp Dual - ${accountName}`);
+  updateWindowTitle();
+}
+
+/**
+ * Records the active account, remembering the previous one.
+ *
+ * The account is also persisted so it can be restored on the next start.
+ *
+ * @param {string} accountId - The new active account
+ * @returns {void}
+ */
+function setCurrentAccount(accountId) {
+  if (accountId !== currentAccount) {
+    previousAccount = currentAccount;
+    currentAccount = accountId;
+
+    if (store.get('confirmTyping', false)) {
+      typingConfirmPending.add(accountId);
+    }
+  }
+  store.set('lastAccount', accountId);
+}
+
+/**
+ * Asks for confirmation before the first keystroke after switching accounts.
+ *
+ * Guards against replying from the wrong number: the first character
+ * typed into an account after switching to it is held back until the
+ * user confirms the account. Shortcuts (Ctrl/Cmd/Alt combinations) and
+ * navigation keys pass through.
+ *
+ * @param {Electron.Event} event - before-input-event event
+ * @param {Electron.Input} input - Keyboard input
+ * @param {string} accountId - Account the view belongs to
+ * @returns {void}
+ */
+function confirmTyping(event, input, accountId) {
+  if (input.type !== 'keyDown' || !typingConfirmPending.has(accountId)) return;
+  if (input.control || input.meta || input.alt) return;
+
+  const isTyping = input.key.length === 1 || input.key === 'Enter' || input.key === 'Backspace';
+  if (!isTyping) return;
+
+  event.preventDefault();
+  if (isConfirmingTyping) return;
+  isConfirmingTyping = true;
+
+  const parent = popout.getWindow(accountId) || mainWindow;
+  dialog.showMessageBox(parent, {
+    type: 'question',
+    title: 'WhatsApp Dual',
+    message: accounts.getAccountDisplayName(accountId),
+    detail: i18n.t('confirmTyping.detail', 'You are about to type from this account. Continue?'),
+    buttons: [i18n.t('confirmTyping.continue', 'Continue'), i18n.t('confirmTyping.cancel', 'Cancel')],
+    defaultId: 0,
+    cancelId: 1
+  }).then(({ response }) => {
+    isConfirmingTyping = false;
+    if (response !== 0) return;
+
+    typingConfirmPending.delete(accountId);
+    const view = views[accountId];
+    if (view && !view.webContents.isDestroyed()) {
+      view.webContents.focus();
+      // Replay the character that triggered the confirmation
+      if (input.key.length === 1) {
+        view.webContents.insertText(input.key);
+      }
+    }
+  });
+}
+
+/**
+ * Builds the window title for an account, e.g. "WhatsApp Dual - Personal (3)".
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {string} Window title including the unread count
+ */
+function getAccountTitle(accountId) {
+  const count = unreadCounts[accountId] || 0;
+  const suffix = count > 0 ? ` (${count})` : '';
+  return `WhatsApp Dual - ${accounts.getAccountDisplayName(accountId)}${suffix}`;
+}
+
+/**
+ * Updates the main window title to reflect the active account.
+ *
+ * Pop-out windows are retitled with their own account as well.
+ *
+ * @returns {void}
+ */
+function updateWindowTitle() {
+  popout.getPoppedOutIds().forEach(accountId => {
+    popout.setTitle(accountId, getAccountTitle(accountId));
+  });
+
+  if (!mainWindow) return;
+
+  mainWindow.setTitle(getAccountTitle(currentAccount));
+}
+
+// =============================================================================
+// Pop-out Windows
+// =============================================================================
+
+/**
+ * Moves an account out of the main window into its own window.
+ *
+ * The existing BrowserView is reused, so the account keeps its session
+ * and loaded chats. At least one account always stays in the main window.
+ *
+ * @param {string} [accountId=currentAccount] - Account to pop out
+ * @returns {void}
+ */
+function popOutAccount(accountId = currentAccount) {
+  if (!mainWindow || !accounts.getAccount(accountId) || isShowingLockScreen || popout.isPoppedOut(accountId)) return;
+
+  const remaining = getDockedAccounts().filter(id => id !== accountId);
+  if (remaining.length === 0) return;
+
+  const view = ensureView(accountId);
+
+  if (mainWindow.getBrowserViews().includes(view)) {
+    mainWindow.removeBrowserView(view);
+  }
+  splitAccounts = splitAccounts.filter(id => id !== accountId);
+
+  // The main window falls back to the previous (or first) docked account
+  if (currentAccount === accountId) {
+    setCurrentAccount(remaining.includes(previousAccount) ? previousAccount : remaining[0]);
+  }
+
+  popout.open(accountId, view, getAccountTitle(accountId));
+
+  attachViews();
+  updateWindowTitle();
+  rebuildMenu();
+  updateContextMenu();
+}
+
+/**
+ * Re-attaches an account to the main window after its pop-out window closed.
+ *
+ * @param {string} accountId - Account that was docked
+ * @returns {void}
+ */
+function dockAccount(accountId) {
+  if (isQuitting || !mainWindow || !views[accountId]) return;
+
+  switchAccount(accountId);
+  rebuildMenu();
+  updateContextMenu();
+
+  if (!isShowingLockScreen) {
+    mainWindow.show();
+    mainWindow.focus();
+  }
 }
 
 // =============================================================================
@@ -403,7 +1204,8 @@ function switchAccount(accountId) {
  *
  * The settings window is a modal dialog that allows users to configure:
  * - Language preference
- * - Default account (Personal/Business)
+ * - Accounts (add, remove, rename, reorder)
+ * - Default account
  * - Minimize to tray behavior
  * - Start with system
  * - Start minimized
@@ -422,8 +1224,7 @@ function createSettingsWindow() {
   }
 
   settingsWindow = new BrowserWindow({
-    width: 480,
-    height: 700,
+    ...windowState.getWindowOptions('settings', { width: 480, height: 700, minWidth: 400, minHeight: 600 }),
     minWidth: 400,
     minHeight: 600,
     parent: mainWindow,
@@ -441,14 +1242,48 @@ function createSettingsWindow() {
     }
   });
 
+  windowState.track('settings', settingsWindow);
   settingsWindow.setMenuBarVisibility(false);
   settingsWindow.loadFile(path.join(__dirname, '../renderer/settings.html'));
 
   settingsWindow.on('closed', () => {
     settingsWindow = null;
+    // Closed while recording a global shortcut
+    globalShortcuts.setSuspended(false);
   });
 }
 
+/**
+ * Opens the task manager window (Help → Task manager).
+ *
+ * @returns {void}
+ */
+function openTaskManager() {
+  if (isShowingLockScreen) return;
+  taskManager.open(mainWindow);
+}
+
+/**
+ * Opens the downloads window (Help → Downloads).
+ *
+ * @returns {void}
+ */
+function openDownloads() {
+  if (isShowingLockScreen) return;
+  downloads.open(mainWindow);
+}
+
+/**
+ * Opens the command palette over the main window (Help → Command palette).
+ *
+ * @returns {void}
+ */
+function openPalette() {
+  if (!mainWindow || isShowingLockScreen) return;
+  mainWindow.show();
+  palette.open(mainWindow);
+}
+
 /**
  * Displays the About dialog with application information.
  *
@@ -502,6 +1337,15 @@ function showLockScreen() {
     mainWindow.getBrowserViews().forEach(v => mainWindow.removeBrowserView(v));
   }
 
+  // Hide popped-out accounts and the account colour frames as well
+  popout.hideAll();
+  sendLayoutState();
+
+  // The downloads window lists file names and can open the files;
+  // the task manager lists the accounts
+  downloads.hide();
+  taskManager.close();
+
   lockWindow = new BrowserWindow({
     width: 400,
     height: 600,
@@ -545,18 +1389,21 @@ function hideLockScreen() {
     lockWindow = null;
   }
 
-  // Restore main window view (Q5 — uses non-deprecated addBrowserView())
+  // Restore the visible account views (single or side by side)
   if (mainWindow) {
-    // Re-add the view for current account
-    const view = views[currentAccount];
-    if (view) {
-      mainWindow.getBrowserViews().forEach(v => mainWindow.removeBrowserView(v));
-      mainWindow.addBrowserView(view);
-      updateViewBounds();
-    }
+    attachViews();
+    popout.showAll();
+    downloads.show();
     mainWindow.show();
     mainWindow.focus();
   }
+
+  // Open a chat link that arrived while the app was locked
+  if (pendingChatLink) {
+    const link = pendingChatLink;
+    pendingChatLink = null;
+    openChatLink(link);
+  }
 }
 
 /**
@@ -660,21 +1507,6 @@ function initializeSecurity() {
  * to perform actions that require main process privileges.
  */
 
-/** Handle account switch requests from renderer */
-ipcMain.on('switch-account', (event, accountId) => {
-  switchAccount(accountId);
-});
-
-/** Return current active account to renderer */
-ipcMain.on('get-current-account', (event) => {
-  event.reply('current-account', currentAccount);
-});
-
-/** Open settings window from renderer request (S3 — guard added in createSettingsWindow) */
-ipcMain.on('open-settings', () => {
-  createSettingsWindow();
-});
-
 /** Close settings window from renderer request */
 ipcMain.on('close-settings', () => {
   if (settingsWindow) {
@@ -682,11 +1514,6 @@ ipcMain.on('close-settings', () => {
   }
 });
 
-/** Open about dialog from renderer request */
-ipcMain.on('open-about', () => {
-  createAboutWindow();
-});
-
 /**
  * Handle settings changes from the settings window.
  *
@@ -703,13 +1530,9 @@ ipcMain.on('settings-changed', (event, settings) => {
   // Handle language change - rebuild menu and tray with new translations
   if (settings.language) {
     i18n.setLanguage(settings.language);
-    const quitApp = () => { isQuitting = true; app.quit(); };
-    const reloadActiveView = () => {
-      const view = views[currentAccount];
-      if (view && view.webContents) view.webContents.reload();
-    };
-    createMenu(switchAccount, createSettingsWindow, createAboutWindow, mainWindow, quitApp, reloadActiveView);
+    rebuildMenu();
     updateContextMenu();
+    updateWindowTitle();
   }
 
   // Configure system auto-start settings
@@ -726,36 +1549,86 @@ ipcMain.on('settings-changed', (event, settings) => {
 // =============================================================================
 
 /** Return all settings to the settings window */
-ipcMain.handle('settings:getAll', () => {
+ipcMain.handle('settings:getAll', (event) => {
+  if (!isSettingsSender(event)) return null;
+
   return {
     language: store.get('language', 'en'),
     theme: store.get('theme', 'system'),
     startWithSystem: store.get('startWithSystem', false),
     startMinimized: store.get('startMinimized', false),
     minimizeToTray: store.get('minimizeToTray', true),
-    defaultAccount: store.get('defaultAccount', 'personal')
+    startAccount: store.get('startAccount', 'fixed'),
+    accountFrame: layout.getFrameStyle(),
+    confirmTyping: store.get('confirmTyping', false),
+    dndRules: dnd.getRules(),
+    hibernation: hibernation.getAllSettings(),
+    reconnectGrace: connectivity.getGracePeriod(),
+    downloadLocations: downloads.getAllLocations(),
+    downloadSafety: downloadSafety.getPolicy(),
+    chatLinkAccount: chatLinks.getRule(),
+    globalShortcuts: globalShortcuts.getSettings(),
+    keymap: keymap.getEntries(),
+    defaultAccount: store.get('defaultAccount', accounts.getFirstAccountId())
   };
 });
 
+/** Let the settings window pick an account's download folder */
+ipcMain.handle('settings:chooseDownloadFolder', async (event, currentFolder) => {
+  if (!isSettingsSender(event)) return null;
+
+  const result = await dialog.showOpenDialog(settingsWindow, {
+    title: i18n.t('settings.downloadFolder', 'Download folder'),
+    defaultPath: typeof currentFolder === 'string' ? currentFolder : undefined,
+    properties: ['openDirectory', 'createDirectory']
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+/** Save the global shortcuts and return the result of each registration */
+ipcMain.handle('settings:saveGlobalShortcuts', (event, settings) => {
+  if (!isSettingsSender(event)) return null;
+  return globalShortcuts.setSettings(settings);
+});
+
+/** Pause the global shortcuts while the settings window records a key combination */
+ipcMain.on('settings:suspendGlobalShortcuts', (event, suspend) => {
+  if (!isSettingsSender(event)) return;
+  globalShortcuts.setSuspended(suspend);
+});
+
 /** Save settings from the settings window */
 ipcMain.handle('settings:save', (event, settings) => {
+  if (!isSettingsSender(event)) return false;
+
   // Persist each setting
   if (settings.language !== undefined) store.set('language', settings.language);
   if (settings.startWithSystem !== undefined) store.set('startWithSystem', settings.startWithSystem);
   if (settings.startMinimized !== undefined) store.set('startMinimized', settings.startMinimized);
   if (settings.minimizeToTray !== undefined) store.set('minimizeToTray', settings.minimizeToTray);
+  if (settings.startAccount === 'last' || settings.startAccount === 'fixed') store.set('startAccount', settings.startAccount);
   if (settings.defaultAccount !== undefined) store.set('defaultAccount', settings.defaultAccount);
+  if (settings.confirmTyping !== undefined) {
+    store.set('confirmTyping', settings.confirmTyping);
+    if (!settings.confirmTyping) typingConfirmPending.clear();
+  }
+  if (settings.accountFrame !== undefined) layout.setFrameStyle(settings.accountFrame);
+  if (settings.dndRules !== undefined) dnd.setRules(settings.dndRules);
+  if (settings.hibernation !== undefined) hibernation.setAllSettings(settings.hibernation);
+  if (settings.reconnectGrace !== undefined) connectivity.setGracePeriod(settings.reconnectGrace);
+  if (settings.downloadLocations !== undefined) downloads.setAllLocations(settings.downloadLocations);
+  if (settings.downloadSafety !== undefined) downloadSafety.setPolicy(settings.downloadSafety);
+  if (settings.chatLinkAccount !== undefined) chatLinks.setRule(settings.chatLinkAccount);
+  if (settings.keymap !== undefined && keymap.setKeymap(settings.keymap)) {
+    rebuildMenu();
+  }
 
   // Apply language change
   if (settings.language) {
     i18n.setLanguage(settings.language);
-    const quitApp = () => { isQuitting = true; app.quit(); };
-    const reloadActiveView = () => {
-      const view = views[currentAccount];
-      if (view && view.webContents) view.webContents.reload();
-    };
-    createMenu(switchAccount, createSettingsWindow, createAboutWindow, mainWindow, quitApp, reloadActiveView);
+    rebuildMenu();
     updateContextMenu();
+    updateWindowTitle();
   }
 
   // Apply auto-start settings
@@ -769,6 +1642,154 @@ ipcMain.handle('settings:save', (event, settings) => {
   return true;
 });
 
+// =============================================================================
+// Account Registry IPC Handlers
+// =============================================================================
+
+/**
+ * Validates that an IPC request comes from the settings window.
+ * Account mutations can delete session data, saved settings decide
+ * where downloads are written and which file types are blocked, and the
+ * full settings include each account's download folder, quiet hours and
+ * shortcuts, so only settings may call them.
+ *
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event
+ * @returns {boolean} True if sender is the settings window
+ */
+function isSettingsSender(event) {
+  return !!settingsWindow && !settingsWindow.isDestroyed() && settingsWindow.webContents === event.sender;
+}
+
+/** Return the account registry with resolved display labels, colours and emoji */
+ipcMain.handle('accounts:getAll', () => {
+  return accounts.getAccounts().map(account => ({
+    id: account.id,
+    name: account.name,
+    label: accounts.getAccountLabel(account),
+    color: accounts.getAccountColor(account),
+    customColor: account.color || null,
+    emoji: accounts.getAccountEmoji(account)
+  }));
+});
+
+/** Add a new account and create its BrowserView */
+ipcMain.handle('accounts:add', (event, name) => {
+  if (!isSettingsSender(event)) return null;
+
+  const account = accounts.addAccount(name);
+  if (!account) return null;
+
+  views[account.id] = createAccountView(account);
+  attachViews();
+  refreshAccounts();
+
+  return account.id;
+});
+
+/** Remove an account, destroy its view and securely delete its session */
+ipcMain.handle('accounts:remove', (event, accountId) => {
+  if (!isSettingsSender(event)) return false;
+
+  const removed = accounts.removeAccount(accountId);
+  if (!removed) return false;
+
+  recovery.forget(removed.id);
+  connectivity.forget(removed.id);
+  destroyAccountView(removed.id);
+  hibernation.forget(removed.id);
+  downloads.forget(removed.id);
+  taskManager.forget(removed.id);
+  globalShortcuts.forget(removed.id);
+  notifications.closeAccountNotifications(removed.id);
+  windowState.forget(popout.getWindowName(removed.id));
+  security.secureDeleteSession(removed.partition);
+  checkForUnreadMessages();
+
+  if (store.get('defaultAccount') === removed.id) {
+    store.set('defaultAccount', accounts.getFirstAccountId());
+  }
+  if (previousAccount === removed.id) {
+    previousAccount = null;
+  }
+  if (getDockedAccounts().length === 0) {
+    // Every remaining account is popped out; bring the first one back
+    popout.dock(accounts.getFirstAccountId());
+  } else if (currentAccount === removed.id) {
+    switchAccount(getDockedAccounts()[0]);
+  } else {
+    attachViews();
+  }
+
+  refreshAccounts();
+  return true;
+});
+
+/** Rename an account */
+ipcMain.handle('accounts:rename', (event, accountId, name) => {
+  if (!isSettingsSender(event)) return false;
+
+  const renamed = accounts.renameAccount(accountId, name);
+  if (renamed) {
+    updateWindowTitle();
+    refreshAccounts();
+  }
+  return renamed;
+});
+
+/** Set the accent colour and emoji of an account */
+ipcMain.handle('accounts:setAppearance', (event, accountId, appearance) => {
+  if (!isSettingsSender(event)) return false;
+
+  const updated = accounts.setAccountAppearance(accountId, appearance);
+  if (updated) {
+    updateWindowTitle();
+    refreshAccounts();
+  }
+  return updated;
+});
+
+/** Move an account up (-1) or down (1) in the display order */
+ipcMain.handle('accounts:move', (event, accountId, offset) => {
+  if (!isSettingsSender(event)) return false;
+
+  const moved = accounts.moveAccount(accountId, offset);
+  if (moved) refreshAccounts();
+  return moved;
+});
+
+// =============================================================================
+// Workspace IPC Handlers (split divider, crash overlay)
+// =============================================================================
+
+/**
+ * Validates that an IPC request comes from the main window's workspace page.
+ *
+ * @param {Electron.IpcMainEvent} event - IPC event
+ * @returns {boolean} True if sender is the main window
+ */
+function isWorkspaceSender(event) {
+  return !!mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents === event.sender;
+}
+
+/** Move the split divider while it is being dragged */
+ipcMain.on('layout:dragDivider', (event, position) => {
+  if (!isWorkspaceSender(event) || !position) return;
+  layout.dragDivider(position, mainWindow.getContentBounds());
+  updateViewBounds();
+});
+
+/** Persist the split ratio when the divider drag ends */
+ipcMain.on('layout:endDrag', (event) => {
+  if (!isWorkspaceSender(event)) return;
+  layout.endDividerDrag();
+});
+
+/** Reload a crashed account from the workspace overlay */
+ipcMain.on('recovery:reload', (event, accountId) => {
+  if (!isWorkspaceSender(event) || !accounts.getAccount(accountId)) return;
+  recovery.retry(accountId);
+});
+
 // =============================================================================
 // i18n IPC Handlers (S1 — contextIsolation support)
 // =============================================================================
@@ -799,12 +1820,6 @@ ipcMain.handle('i18n:getTranslationsForLanguage', (event, lang) => {
   return translations;
 });
 
-/** Handle quit request from renderer or tray */
-ipcMain.on('quit-app', () => {
-  isQuitting = true;
-  app.quit();
-});
-
 // =============================================================================
 // Security IPC Handlers
 // =============================================================================
@@ -843,30 +1858,60 @@ ipcMain.on('security:setupPIN', () => {
 // Single Instance Lock
 // =============================================================================
 
+/** @type {{commands: Object[], errors: string[], help: boolean}} Command-line options of this process */
+const cliOptions = cli.parse(process.argv);
+cliOptions.errors.forEach(error => console.error(error));
+
 /**
  * Ensures only one instance of the application runs at a time.
- * If another instance is already running, focus the existing window
- * instead of opening a new one.
+ * If another instance is already running, it receives this process's
+ * arguments (command-line commands, chat links) instead of a new
+ * instance being opened.
+ *
+ * The original argv is passed as additional data because the argv of
+ * 'second-instance' may be reordered by Chromium, which would split
+ * "--account business".
  */
-const gotTheLock = app.requestSingleInstanceLock();
-
-if (!gotTheLock) {
+if (cliOptions.help) {
+  process.stdout.write(cli.getUsage());
+  app.exit(0);
+} else if (!app.requestSingleInstanceLock({ argv: process.argv })) {
   // Another instance is already running, quit this one
-  app.quit();
+  if (cliOptions.errors.length > 0) {
+    app.exit(1);
+  } else {
+    app.quit();
+  }
 } else {
   // This is the primary instance
-  app.on('second-instance', () => {
-    // Someone tried to run a second instance, focus our window instead
-    if (mainWindow) {
-      if (!mainWindow.isVisible()) {
-        mainWindow.show();
-      }
-      if (mainWindow.isMinimized()) {
-        mainWindow.restore();
-      }
-      mainWindow.focus();
+  app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    const args = additionalData && Array.isArray(additionalData.argv) ? additionalData.argv : argv;
+    const { commands } = cli.parse(args);
+
+    if (commands.length > 0) {
+      commands.forEach(runCommand);
+    } else {
+      // Someone tried to run a second instance, focus our window instead
+      showMainWindow();
+    }
+
+    // The second instance may have been started for a chat link
+    const link = chatLinks.findInArgs(args);
+    if (link) {
+      openChatLink(link);
     }
   });
+
+  // macOS delivers protocol links as an event instead of argv
+  app.on('open-url', (event, url) => {
+    event.preventDefault();
+    const link = chatLinks.parse(url);
+    if (link) {
+      openChatLink(link);
+    }
+  });
+
+  chatLinks.registerProtocol();
 }
 
 /**
@@ -878,11 +1923,22 @@ if (!gotTheLock) {
 app.whenReady().then(() => {
   createWindow();
   initializeSecurity();
+  globalShortcuts.init(runCommand);
 
   // Show lock screen on startup if PIN is enabled
   if (security.isPINEnabled()) {
     showLockScreen();
   }
+
+  // Open the chat link the app was started with (after the unlock, if locked)
+  const startupLink = pendingChatLink || chatLinks.findInArgs(process.argv);
+  pendingChatLink = null;
+  if (startupLink) {
+    openChatLink(startupLink);
+  }
+
+  // Run the command-line commands the app was started with
+  cliOptions.commands.forEach(runCommand);
 });
 
 /**
@@ -928,9 +1984,11 @@ app.on('activate', () => {
 /**
  * Cleanup before app exit.
  *
- * Unregisters all global shortcuts and destroys the system tray
+ * Destroys the system tray and clears the launcher badge
  * to ensure clean shutdown.
  */
 app.on('will-quit', () => {
+  globalShortcuts.unregisterAll();
   destroyTray();
+  launcher.clearBadge();
 });
@@ -11,21 +11,45 @@
  * internationalized (i18n) to support multiple languages.
  *
  * Menu Structure:
- * - Personal (Ctrl+1): Switch to Personal WhatsApp account
- * - Business (Ctrl+2): Switch to Business WhatsApp account
- * - Settings: Preferences, Reload, Quit
- * - Help: Updates, Shortcuts, About, GitHub
+ * - One item per registered account (Ctrl+1 … Ctrl+9 for the first nine by default)
+ * - Settings: Preferences, Lock, Side by side, Separate windows, Reload, Quit
+ * - Help: Updates, Command palette, Shortcuts, Task manager, Downloads, About, GitHub
  *
  * Features:
  * - Update indicator (red dot) when new version is available
- * - Keyboard shortcuts for all major actions
+ * - Keyboard shortcuts for all major actions, taken from the keymap (keymap.js)
  * - Dynamic language switching without restart
+ *
+ * The items are built from the action registry (actions.js), which also
+ * provides their labels, shortcuts, states and click handlers.
  */
 
-const { Menu, app, dialog } = require('electron');
+const { Menu } = require('electron');
 const i18n = require('../shared/i18n');
 const updater = require('./updater');
 const security = require('./security');
+const accounts = require('./accounts');
+const popout = require('./popout');
+const actions = require('./actions');
+
+// =============================================================================
+// Account Items
+// =============================================================================
+
+/**
+ * Builds one top-level menu item per registered account.
+ *
+ * The first nine accounts get the account1 … account9 shortcuts of the
+ * keymap in registry order.
+ *
+ * @param {Map<string, Object>} allActions - Actions from actions.getActions()
+ * @returns {Object[]} Menu item templates
+ */
+function buildAccountItems(allActions) {
+  return accounts.getAccounts().map(account => actions.toMenuItem(allActions, `account:${account.id}`, {
+    label: accounts.getAccountDisplayName(account)
+  }));
+}
 
 // =============================================================================
 // Menu Creation
@@ -35,46 +59,37 @@ const security = require('./security');
  * Creates and sets the application menu.
  *
  * This function builds the entire menu structure with:
- * - Account switching items (Personal/Business)
+ * - Account switching items (one per registered account)
  * - Settings submenu (Preferences, Reload, Quit)
- * - Help submenu (Updates, Shortcuts, About, GitHub)
+ * - Help submenu (Updates, Command palette, Shortcuts, Task manager, Downloads, About, GitHub)
  *
  * The menu is rebuilt when:
  * - The app starts
  * - The language setting changes
  * - An update becomes available
+ * - Accounts are added, removed, renamed or reordered
+ * - The keyboard shortcuts change
  *
- * @param {Function} switchAccountFn - Callback to switch WhatsApp accounts
- * @param {Function} openSettingsFn - Callback to open settings window
- * @param {Function} openAboutFn - Callback to open about dialog
- * @param {BrowserWindow} mainWindow - Reference to the main window (for dialogs)
  * @returns {void}
  */
-function createMenu(switchAccountFn, openSettingsFn, openAboutFn, mainWindow, quitFn, reloadFn) {
+function createMenu() {
   // Add visual indicator to Help menu when update is available
   const helpLabel = updater.isUpdateAvailable()
     ? `${i18n.t('menu.help', 'Help')} (!)`
     : i18n.t('menu.help', 'Help');
 
+  // Popped-out accounts that can be returned to the main window
+  const poppedOutIds = popout.getPoppedOutIds();
+
+  // Build the actions once for every item of the menu
+  const allActions = actions.getActions();
+
   // Define the complete menu template
   const template = [
     // =========================================================================
-    // Personal Account Menu Item
-    // =========================================================================
-    {
-      label: i18n.t('menu.personal', 'Personal'),
-      accelerator: 'CmdOrCtrl+1',
-      click: () => switchAccountFn('personal')
-    },
-
-    // =========================================================================
-    // Business Account Menu Item
+    // Account Menu Items
     // =========================================================================
-    {
-      label: i18n.t('menu.business', 'Business'),
-      accelerator: 'CmdOrCtrl+2',
-      click: () => switchAccountFn('business')
-    },
+    ...buildAccountItems(allActions),
 
     // =========================================================================
     // Settings Submenu
@@ -82,41 +97,25 @@ function createMenu(switchAccountFn, openSettingsFn, openAboutFn, mainWindow, qu
     {
       label: i18n.t('menu.settings', 'Settings'),
       submenu: [
-        {
-          label: i18n.t('menu.preferences', 'Preferences'),
-          accelerator: 'CmdOrCtrl+,',
-          click: () => openSettingsFn()
-        },
-        {
-          label: i18n.t('menu.lockNow', 'Lock now'),
-          accelerator: 'CmdOrCtrl+L',
-          visible: security.isPINEnabled(),
-          click: () => {
-            if (security.isPINEnabled()) {
-              security.lockApp();
-            }
-          }
-        },
+        actions.toMenuItem(allActions, 'preferences'),
+        actions.toMenuItem(allActions, 'lock', { visible: security.isPINEnabled() }),
+        { type: 'separator' },
+        actions.toMenuItem(allActions, 'sideBySide'),
+        actions.toMenuItem(allActions, 'stackVertically'),
         { type: 'separator' },
+        actions.toMenuItem(allActions, 'popOut'),
         {
-          label: i18n.t('menu.reload', 'Reload'),
-          accelerator: 'CmdOrCtrl+R',
-          click: () => {
-            if (reloadFn) reloadFn();
-          }
+          label: i18n.t('menu.returnToMain', 'Return to main window'),
+          visible: poppedOutIds.length > 0,
+          submenu: poppedOutIds.map(accountId => actions.toMenuItem(allActions, `dock:${accountId}`, {
+            label: accounts.getAccountDisplayName(accountId)
+          }))
         },
         { type: 'separator' },
-        {
-          label: i18n.t('menu.quit', 'Quit'),
-          accelerator: 'CmdOrCtrl+Q',
-          click: () => {
-            if (quitFn) {
-              quitFn();
-            } else {
-              app.quit();
-            }
-          }
-        }
+        actions.toMenuItem(allActions, 'reload'),
+        actions.toMenuItem(allActions, 'clearCache'),
+        { type: 'separator' },
+        actions.toMenuItem(allActions, 'quit')
       ]
     },
 
@@ -127,49 +126,25 @@ function createMenu(switchAccountFn, openSettingsFn, openAboutFn, mainWindow, qu
       label: helpLabel,
       submenu: [
         // Update check / download item
-        {
-          label: updater.isUpdateAvailable()
-            ? `${i18n.t('updates.updateAvailable', 'Update available!')} (!)`
-            : i18n.t('updates.checkForUpdates', 'Check for updates'),
-          click: () => {
-            if (updater.isUpdateAvailable()) {
-              updater.showUpdateDialog(mainWindow);
-            } else {
-              updater.checkForUpdatesManual(mainWindow);
-            }
-          }
-        },
+        actions.toMenuItem(allActions, 'checkUpdates', updater.isUpdateAvailable()
+          ? { label: `${i18n.t('updates.updateAvailable', 'Update available!')} (!)` }
+          : {}),
         { type: 'separator' },
 
-        // Keyboard shortcuts reference
-        {
-          label: i18n.t('menu.shortcuts', 'Keyboard shortcuts'),
-          click: () => {
-            dialog.showMessageBox(mainWindow, {
-              type: 'info',
-              title: i18n.t('menu.shortcuts', 'Keyboard shortcuts'),
-              message: i18n.t('menu.shortcuts', 'Keyboard shortcuts'),
-              detail: `Ctrl+1 → Personal\nCtrl+2 → Business\nCtrl+, → ${i18n.t('menu.preferences', 'Preferences')}\nCtrl+L → ${i18n.t('menu.lockNow', 'Lock now')}\nCtrl+R → ${i18n.t('menu.reload', 'Reload')}\nCtrl+Q → ${i18n.t('menu.quit', 'Quit')}`,
-              buttons: [i18n.t('about.ok', 'OK')]
-            });
-          }
-        },
+        // Search and run any action, and the keyboard shortcuts reference
+        actions.toMenuItem(allActions, 'commandPalette'),
+        actions.toMenuItem(allActions, 'shortcuts'),
         { type: 'separator' },
 
-        // About dialog
-        {
-          label: i18n.t('menu.about', 'About WhatsApp Dual'),
-          click: () => openAboutFn()
-        },
+        // Memory and CPU usage per account, and downloads of all accounts
+        actions.toMenuItem(allActions, 'taskManager'),
+        actions.toMenuItem(allActions, 'downloads'),
         { type: 'separator' },
 
-        // GitHub repository link
-        {
-          label: i18n.t('menu.github', 'GitHub Repository'),
-          click: () => {
-            require('electron').shell.openExternal('https://github.com/686f6c61/whatsapp-dual');
-          }
-        }
+        // About dialog and GitHub repository link
+        actions.toMenuItem(allActions, 'about'),
+        { type: 'separator' },
+        actions.toMenuItem(allActions, 'github')
       ]
     }
   ];
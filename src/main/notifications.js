@@ -0,0 +1,288 @@
+/**
+ * WhatsApp Dual - Notifications Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module shows WhatsApp Web's notifications as native Electron
+ * notifications attributed to the account they came from.
+ *
+ * The account view preload (preload-view.js) replaces the page's
+ * Notification API and forwards every notification here. This is the
+ * single place where notification rules are applied:
+ * - The title is prefixed with the account's emoji and name
+ * - While the app is locked, only "New message" is shown, without the
+ *   sender or message text
+ * - Nothing is shown while the account is in a do-not-disturb period
+ * - A notification with the same tag replaces the previous one
+ * - The sender's picture becomes the icon; https: pictures are loaded
+ *   with the account's session
+ * - At most MAX_ACTIVE_NOTIFICATIONS are kept; beyond that the oldest is
+ *   closed, since Linux notification servers often do not report when a
+ *   notification expires or is dismissed
+ *
+ * Clicking a notification calls the onClick callback registered with
+ * init() (main.js shows the window and switches account) and then tells
+ * the page, so WhatsApp opens the chat.
+ */
+
+const { ipcMain, Notification, nativeImage } = require('electron');
+const i18n = require('../shared/i18n');
+const accounts = require('./accounts');
+const security = require('./security');
+const dnd = require('./dnd');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Most notifications kept for click handling at a time */
+const MAX_ACTIVE_NOTIFICATIONS = 50;
+
+/** @type {number} Largest notification icon that is loaded (bytes) */
+const MAX_ICON_SIZE = 1024 * 1024;
+
+/** @type {number} Time to wait for an https: icon before showing without it (ms) */
+const ICON_TIMEOUT = 3000;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Map<string, {notification: Notification, webContents: Electron.WebContents, id: string, accountId: string, tag: string}>} Visible notifications, oldest first */
+const activeNotifications = new Map();
+
+/** @type {Function|null} Maps an IPC sender to the account it belongs to */
+let resolveAccountCallback = null;
+
+/** @type {Function|null} Callback invoked when a notification is clicked */
+let onClickCallback = null;
+
+/** @type {boolean} Tracks whether the IPC handlers are registered */
+let initialized = false;
+
+// =============================================================================
+// Rules
+// =============================================================================
+
+/**
+ * Decides whether a notification for an account should be shown.
+ *
+ * @param {string} accountId - Account the notification belongs to
+ * @returns {boolean} True if the notification should be shown
+ */
+function shouldNotify(accountId) {
+  return Notification.isSupported() && !!accounts.getAccount(accountId) && !dnd.isQuiet(accountId);
+}
+
+/**
+ * Loads the icon of a page notification.
+ *
+ * @param {Electron.WebContents} webContents - View that created the notification
+ * @param {string} url - data: or https: URL from the view preload ('' = none)
+ * @returns {Promise<Electron.NativeImage|null>} Icon, or null if there is none or it cannot be loaded
+ */
+async function loadIcon(webContents, url) {
+  let icon = null;
+
+  if (typeof url === 'string' && url.startsWith('data:image/')) {
+    icon = nativeImage.createFromDataURL(url);
+  } else if (typeof url === 'string' && url.startsWith('https://')) {
+    try {
+      const response = await webContents.session.fetch(url, { signal: AbortSignal.timeout(ICON_TIMEOUT) });
+      const buffer = response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+      if (buffer && buffer.length <= MAX_ICON_SIZE) icon = nativeImage.createFromBuffer(buffer);
+    } catch (error) {
+      // Shown without an icon
+    }
+  }
+
+  return icon && !icon.isEmpty() ? icon : null;
+}
+
+/**
+ * Builds the native notification options for a page notification.
+ *
+ * @param {string} accountId - Account the notification belongs to
+ * @param {Object} payload - Sanitized payload from the view preload
+ * @param {Electron.NativeImage|null} icon - Sender's picture
+ * @returns {Object} Electron Notification options
+ */
+function buildOptions(accountId, payload, icon) {
+  const accountName = accounts.getAccountDisplayName(accountId);
+
+  // Never reveal senders or message text while the app is locked
+  if (security.isAppLocked()) {
+    return {
+      title: accountName,
+      body: i18n.t('notifications.newMessage', 'New message'),
+      silent: payload.silent
+    };
+  }
+
+  const options = {
+    title: payload.title ? `${accountName} · ${payload.title}` : accountName,
+    body: payload.body,
+    silent: payload.silent
+  };
+
+  if (icon) options.icon = icon;
+
+  return options;
+}
+
+// =============================================================================
+// Notification Handling
+// =============================================================================
+
+/**
+ * Returns the key of a page notification.
+ *
+ * @param {Electron.WebContents} webContents - View that created it
+ * @param {string} id - Notification id assigned by the page shim
+ * @returns {string} Unique key
+ */
+function getKey(webContents, id) {
+  return `${webContents.id}:${id}`;
+}
+
+/**
+ * Forwards a notification event back to the page.
+ *
+ * @param {Electron.WebContents} webContents - View that created the notification
+ * @param {string} id - Notification id assigned by the page shim
+ * @param {string} type - 'click' or 'close'
+ * @returns {void}
+ */
+function sendEvent(webContents, id, type) {
+  if (!webContents.isDestroyed()) {
+    webContents.send('notification:event', id, type);
+  }
+}
+
+/**
+ * Shows a native notification for a page notification.
+ *
+ * @param {Electron.WebContents} webContents - View that created it
+ * @param {string} accountId - Account the view belongs to
+ * @param {string} id - Notification id assigned by the page shim
+ * @param {Object} payload - Sanitized payload from the view preload
+ * @returns {Promise<void>}
+ */
+async function showNotification(webContents, accountId, id, payload) {
+  if (!shouldNotify(accountId)) {
+    sendEvent(webContents, id, 'close');
+    return;
+  }
+
+  // The icon would be left out anyway while the app is locked
+  const icon = security.isAppLocked() ? null : await loadIcon(webContents, payload.icon);
+  if (webContents.isDestroyed()) return;
+
+  // A notification with the same tag replaces the previous one
+  if (payload.tag) {
+    activeNotifications.forEach((entry, key) => {
+      if (entry.accountId === accountId && entry.tag === payload.tag) {
+        entry.notification.close();
+        activeNotifications.delete(key);
+      }
+    });
+  }
+
+  const key = getKey(webContents, id);
+  const notification = new Notification(buildOptions(accountId, payload, icon));
+
+  notification.on('click', () => {
+    const forward = onClickCallback ? onClickCallback(accountId) : true;
+    if (forward) {
+      sendEvent(webContents, id, 'click');
+    }
+  });
+
+  notification.on('close', () => {
+    activeNotifications.delete(key);
+    sendEvent(webContents, id, 'close');
+  });
+
+  // Keep a reference, otherwise the click handler may be garbage collected
+  activeNotifications.set(key, { notification, webContents, id, accountId, tag: payload.tag });
+  notification.show();
+
+  // Close the oldest ones, whose close may never have been reported
+  while (activeNotifications.size > MAX_ACTIVE_NOTIFICATIONS) {
+    closeOldest();
+  }
+}
+
+/**
+ * Closes the oldest notification and tells its page, so the page's
+ * notification object is released as well.
+ *
+ * @returns {void}
+ */
+function closeOldest() {
+  const [key, entry] = activeNotifications.entries().next().value;
+  activeNotifications.delete(key);
+  entry.notification.removeAllListeners();
+  entry.notification.close();
+  sendEvent(entry.webContents, entry.id, 'close');
+}
+
+/**
+ * Closes all notifications of an account, e.g. when it is removed.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function closeAccountNotifications(accountId) {
+  activeNotifications.forEach((entry, key) => {
+    if (entry.accountId === accountId) {
+      entry.notification.close();
+      activeNotifications.delete(key);
+    }
+  });
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the notification IPC handlers.
+ *
+ * @param {Function} resolveAccount - Function(webContents) returning the account ID of a view, or null
+ * @param {Function} onClick - Function(accountId) called on click; returns true to let the page open the chat
+ * @returns {void}
+ */
+function init(resolveAccount, onClick) {
+  resolveAccountCallback = resolveAccount;
+  onClickCallback = onClick;
+
+  if (initialized) return;
+  initialized = true;
+
+  ipcMain.on('notification:show', (event, id, payload) => {
+    const accountId = resolveAccountCallback ? resolveAccountCallback(event.sender) : null;
+    if (!accountId || typeof id !== 'string' || !payload) return;
+
+    showNotification(event.sender, accountId, id, payload);
+  });
+
+  ipcMain.on('notification:close', (event, id) => {
+    const entry = activeNotifications.get(getKey(event.sender, id));
+    if (entry) {
+      entry.notification.close();
+    }
+  });
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  closeAccountNotifications
+};
@@ -0,0 +1,153 @@
+/**
+ * WhatsApp Dual - Command Palette Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module manages the command palette (Ctrl+Shift+P): a small
+ * frameless window over the top of the main window that searches and
+ * runs every action of the action registry (actions.js).
+ *
+ * The palette closes when an action is chosen, on Escape and when it
+ * loses focus. The action runs after the palette has closed, so focus
+ * is back on the main window (or on the window the action opens).
+ *
+ * IPC Communication:
+ * - Handles: palette:getEntries
+ * - Receives: palette:run, palette:close
+ */
+
+const { BrowserWindow, ipcMain } = require('electron');
+const path = require('path');
+const actions = require('./actions');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Palette width in pixels */
+const PALETTE_WIDTH = 560;
+
+/** @type {number} Palette height in pixels */
+const PALETTE_HEIGHT = 380;
+
+/** @type {number} Distance between the top of the main window and the palette */
+const PALETTE_TOP_OFFSET = 64;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {BrowserWindow|null} The palette window */
+let paletteWindow = null;
+
+/** @type {boolean} Whether the IPC handlers are registered */
+let initialized = false;
+
+// =============================================================================
+// Window
+// =============================================================================
+
+/**
+ * Opens the command palette over a window.
+ *
+ * @param {BrowserWindow} parent - Window the palette belongs to
+ * @returns {void}
+ */
+function open(parent) {
+  if (paletteWindow) {
+    paletteWindow.focus();
+    return;
+  }
+
+  const bounds = parent.getBounds();
+  paletteWindow = new BrowserWindow({
+    width: PALETTE_WIDTH,
+    height: PALETTE_HEIGHT,
+    x: Math.round(bounds.x + (bounds.width - PALETTE_WIDTH) / 2),
+    y: bounds.y + PALETTE_TOP_OFFSET,
+    parent,
+    frame: false,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    skipTaskbar: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'preload-palette.js')
+    }
+  });
+
+  paletteWindow.loadFile(path.join(__dirname, '../renderer/palette.html'));
+
+  paletteWindow.once('ready-to-show', () => {
+    if (paletteWindow) paletteWindow.show();
+  });
+  paletteWindow.on('blur', close);
+  paletteWindow.on('closed', () => {
+    paletteWindow = null;
+  });
+}
+
+/**
+ * Closes the command palette.
+ *
+ * @returns {void}
+ */
+function close() {
+  if (paletteWindow && !paletteWindow.isDestroyed()) {
+    paletteWindow.close();
+  }
+}
+
+/**
+ * Validates that an IPC request comes from the palette window.
+ *
+ * @param {Electron.IpcMainEvent} event - IPC event
+ * @returns {boolean} True if sender is the palette window
+ */
+function isPaletteSender(event) {
+  return !!paletteWindow && !paletteWindow.isDestroyed() && paletteWindow.webContents === event.sender;
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the IPC handlers of the palette window.
+ *
+ * @returns {void}
+ */
+function init() {
+  if (initialized) return;
+  initialized = true;
+
+  ipcMain.handle('palette:getEntries', (event) => (isPaletteSender(event) ? actions.getPaletteEntries() : []));
+
+  ipcMain.on('palette:run', (event, id) => {
+    if (!isPaletteSender(event) || typeof id !== 'string') return;
+
+    close();
+    setImmediate(() => actions.run(id));
+  });
+
+  ipcMain.on('palette:close', (event) => {
+    if (isPaletteSender(event)) close();
+  });
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  open,
+  close
+};
@@ -0,0 +1,338 @@
+/**
+ * WhatsApp Dual - Pop-out Window Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module manages account views that have been moved out of the
+ * main window into their own BrowserWindow, e.g. to keep Business on a
+ * second monitor.
+ *
+ * The existing BrowserView is moved, not recreated, so the account keeps
+ * its partition, login and loaded chats. Closing a pop-out window (or
+ * choosing "Return to main window") hands the view back through the
+ * onDock callback registered with init().
+ *
+ * Each pop-out window remembers its own size and position per account.
+ *
+ * Lock Screen Integration:
+ * hideAll() detaches the views and hides every pop-out window while the
+ * app is locked; showAll() restores them after unlocking.
+ */
+
+const { BrowserWindow, Menu } = require('electron');
+const path = require('path');
+const { WINDOW_CONFIG } = require('../shared/constants');
+const i18n = require('../shared/i18n');
+const windowState = require('./window-state');
+const keymap = require('./keymap');
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {Object.<string, {window: BrowserWindow, view: BrowserView}>} Pop-out windows by account ID */
+const popouts = {};
+
+/** @type {Function|null} Callback invoked when a view returns to the main window */
+let onDockCallback = null;
+
+/** @type {boolean} Whether the views are detached for the lock screen */
+let isHidden = false;
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the callback that re-attaches a view to the main window.
+ *
+ * @param {Function} onDock - Called with the account ID after its window closed
+ * @returns {void}
+ */
+function init(onDock) {
+  onDockCallback = onDock;
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * Check if an account currently lives in a pop-out window.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {boolean} True if the account is popped out
+ */
+function isPoppedOut(accountId) {
+  return Object.prototype.hasOwnProperty.call(popouts, accountId);
+}
+
+/**
+ * Returns the IDs of all popped-out accounts.
+ *
+ * @returns {string[]} Account IDs
+ */
+function getPoppedOutIds() {
+  return Object.keys(popouts);
+}
+
+/**
+ * Returns the name under which a pop-out window's geometry is saved.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {string} Window state name
+ */
+function getWindowName(accountId) {
+  return `popout-${accountId}`;
+}
+
+/**
+ * Returns the pop-out window of an account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {BrowserWindow|null} The window or null if not popped out
+ */
+function getWindow(accountId) {
+  return isPoppedOut(accountId) ? popouts[accountId].window : null;
+}
+
+// =============================================================================
+// Window Management
+// =============================================================================
+
+/**
+ * Resizes a pop-out view to fill its window.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function fitView(accountId) {
+  const entry = popouts[accountId];
+  if (!entry || entry.window.isDestroyed()) return;
+
+  const bounds = entry.window.getContentBounds();
+  entry.view.setBounds({ x: 0, y: 0, width: bounds.width, height: bounds.height });
+}
+
+/**
+ * Builds the menu of a pop-out window.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {Menu} Window menu
+ */
+function buildWindowMenu(accountId) {
+  return Menu.buildFromTemplate([
+    {
+      label: i18n.t('menu.window', 'Window'),
+      submenu: [
+        {
+          label: i18n.t('menu.returnToMain', 'Return to main window'),
+          accelerator: keymap.getAccelerator('dock'),
+          click: () => dock(accountId)
+        },
+        {
+          label: i18n.t('menu.reload', 'Reload'),
+          accelerator: keymap.getAccelerator('reload'),
+          click: () => {
+            const entry = popouts[accountId];
+            if (entry && !entry.view.webContents.isDestroyed()) {
+              entry.view.webContents.reload();
+            }
+          }
+        }
+      ]
+    }
+  ]);
+}
+
+/**
+ * Moves an account view into a new window.
+ *
+ * The caller must have removed the view from the main window first.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {BrowserView} view - The account's existing BrowserView
+ * @param {string} title - Initial window title
+ * @returns {BrowserWindow|null} The new window, or null if already popped out
+ */
+function open(accountId, view, title) {
+  if (isPoppedOut(accountId)) return null;
+
+  const window = new BrowserWindow({
+    ...windowState.getWindowOptions(getWindowName(accountId), WINDOW_CONFIG),
+    minWidth: WINDOW_CONFIG.minWidth,
+    minHeight: WINDOW_CONFIG.minHeight,
+    title,
+    icon: path.join(__dirname, '../../assets/icons/icon.png'),
+    show: !isHidden,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
+    }
+  });
+
+  popouts[accountId] = { window, view };
+  windowState.track(getWindowName(accountId), window);
+  window.setMenu(buildWindowMenu(accountId));
+
+  if (!isHidden) {
+    window.addBrowserView(view);
+    fitView(accountId);
+    view.webContents.focus();
+  }
+
+  window.on('resize', () => fitView(accountId));
+
+  // Closing the window returns the view to the main window
+  window.on('close', () => {
+    const entry = popouts[accountId];
+    if (!entry || entry.window !== window) return;
+
+    delete popouts[accountId];
+    if (window.getBrowserViews().includes(view)) {
+      window.removeBrowserView(view);
+    }
+    if (onDockCallback) {
+      onDockCallback(accountId);
+    }
+  });
+
+  return window;
+}
+
+/**
+ * Returns a popped-out account to the main window.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function dock(accountId) {
+  const entry = popouts[accountId];
+  if (!entry) return;
+
+  entry.window.close();
+}
+
+/**
+ * Closes a pop-out window without handing the view back.
+ *
+ * Used when the account itself is being removed.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function discard(accountId) {
+  const entry = popouts[accountId];
+  if (!entry) return;
+
+  delete popouts[accountId];
+  if (!entry.window.isDestroyed()) {
+    if (entry.window.getBrowserViews().includes(entry.view)) {
+      entry.window.removeBrowserView(entry.view);
+    }
+    entry.window.destroy();
+  }
+}
+
+/**
+ * Brings a pop-out window to the front.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function focus(accountId) {
+  const entry = popouts[accountId];
+  if (!entry || isHidden) return;
+
+  if (entry.window.isMinimized()) {
+    entry.window.restore();
+  }
+  entry.window.show();
+  entry.window.focus();
+}
+
+/**
+ * Updates the title of a pop-out window.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {string} title - New title
+ * @returns {void}
+ */
+function setTitle(accountId, title) {
+  const entry = popouts[accountId];
+  if (entry && !entry.window.isDestroyed()) {
+    entry.window.setTitle(title);
+  }
+}
+
+/**
+ * Rebuilds the pop-out window menus, e.g. after a language change.
+ *
+ * @returns {void}
+ */
+function refreshMenus() {
+  Object.entries(popouts).forEach(([accountId, entry]) => {
+    entry.window.setMenu(buildWindowMenu(accountId));
+  });
+}
+
+// =============================================================================
+// Lock Screen Integration
+// =============================================================================
+
+/**
+ * Detaches the views and hides all pop-out windows while the app is locked.
+ *
+ * @returns {void}
+ */
+function hideAll() {
+  isHidden = true;
+
+  Object.values(popouts).forEach(({ window, view }) => {
+    if (window.getBrowserViews().includes(view)) {
+      window.removeBrowserView(view);
+    }
+    window.hide();
+  });
+}
+
+/**
+ * Restores the views and shows all pop-out windows after unlocking.
+ *
+ * @returns {void}
+ */
+function showAll() {
+  isHidden = false;
+
+  Object.entries(popouts).forEach(([accountId, { window, view }]) => {
+    if (!window.getBrowserViews().includes(view)) {
+      window.addBrowserView(view);
+    }
+    fitView(accountId);
+    window.show();
+  });
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  isPoppedOut,
+  getPoppedOutIds,
+  getWindowName,
+  getWindow,
+  open,
+  dock,
+  discard,
+  focus,
+  setTitle,
+  refreshMenus,
+  hideAll,
+  showAll
+};
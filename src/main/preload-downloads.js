@@ -0,0 +1,36 @@
+/**
+ * WhatsApp Dual - Downloads Preload Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Secure preload script for the Downloads window.
+ * Uses contextBridge to expose only the download list, its updates and
+ * the per-download actions.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  // Download operations
+  downloads: {
+    getAll: () => ipcRenderer.invoke('downloads:getAll'),
+    onUpdate: (callback) => {
+      ipcRenderer.on('downloads:update', (event, list) => callback(list));
+    },
+    pause: (id) => ipcRenderer.send('downloads:pause', id),
+    resume: (id) => ipcRenderer.send('downloads:resume', id),
+    cancel: (id) => ipcRenderer.send('downloads:cancel', id),
+    open: (id) => ipcRenderer.send('downloads:open', id),
+    showInFolder: (id) => ipcRenderer.send('downloads:showInFolder', id),
+    remove: (id) => ipcRenderer.send('downloads:remove', id),
+    clear: () => ipcRenderer.send('downloads:clear')
+  },
+
+  // i18n operations
+  i18n: {
+    getTranslations: () => ipcRenderer.invoke('i18n:getTranslations')
+  }
+});
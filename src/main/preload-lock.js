@@ -46,6 +46,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getSettings: () => ipcRenderer.invoke('security:getSettings')
   },
 
+  // Account registry (labels, colours and emoji of the locked accounts)
+  accounts: {
+    getAll: () => ipcRenderer.invoke('accounts:getAll')
+  },
+
   // i18n operations (Q8 — lock screen translations)
   i18n: {
     getTranslations: () => ipcRenderer.invoke('i18n:getTranslations')
@@ -0,0 +1,28 @@
+/**
+ * WhatsApp Dual - Command Palette Preload Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Secure preload script for the command palette window.
+ * Uses contextBridge to expose only the action list and the calls that
+ * run an action or close the palette.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  // Palette operations
+  palette: {
+    getEntries: () => ipcRenderer.invoke('palette:getEntries'),
+    run: (id) => ipcRenderer.send('palette:run', id),
+    close: () => ipcRenderer.send('palette:close')
+  },
+
+  // i18n operations
+  i18n: {
+    getTranslations: () => ipcRenderer.invoke('i18n:getTranslations')
+  }
+});
@@ -18,11 +18,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
   settings: {
     getAll: () => ipcRenderer.invoke('settings:getAll'),
     save: (settings) => ipcRenderer.invoke('settings:save', settings),
+    chooseDownloadFolder: (currentFolder) => ipcRenderer.invoke('settings:chooseDownloadFolder', currentFolder),
+    saveGlobalShortcuts: (settings) => ipcRenderer.invoke('settings:saveGlobalShortcuts', settings),
+    suspendGlobalShortcuts: (suspend) => ipcRenderer.send('settings:suspendGlobalShortcuts', suspend),
     onChanged: (callback) => {
       ipcRenderer.on('settings-updated', () => callback());
     }
   },
 
+  // Account registry operations
+  accounts: {
+    getAll: () => ipcRenderer.invoke('accounts:getAll'),
+    add: (name) => ipcRenderer.invoke('accounts:add', name),
+    remove: (id) => ipcRenderer.invoke('accounts:remove', id),
+    rename: (id, name) => ipcRenderer.invoke('accounts:rename', id, name),
+    setAppearance: (id, appearance) => ipcRenderer.invoke('accounts:setAppearance', id, appearance),
+    move: (id, offset) => ipcRenderer.invoke('accounts:move', id, offset)
+  },
+
   // i18n operations
   i18n: {
     getTranslations: () => ipcRenderer.invoke('i18n:getTranslations'),
@@ -0,0 +1,32 @@
+/**
+ * WhatsApp Dual - Task Manager Preload Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Secure preload script for the Task manager window.
+ * Uses contextBridge to expose only the usage updates, the per-account
+ * reload/kill actions and the automatic reload rule.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  // Task manager operations
+  taskManager: {
+    onUpdate: (callback) => {
+      ipcRenderer.on('taskManager:update', (event, usage) => callback(usage));
+    },
+    reload: (accountId) => ipcRenderer.send('taskManager:reload', accountId),
+    kill: (accountId) => ipcRenderer.send('taskManager:kill', accountId),
+    getRule: () => ipcRenderer.invoke('taskManager:getRule'),
+    setRule: (rule) => ipcRenderer.invoke('taskManager:setRule', rule)
+  },
+
+  // i18n operations
+  i18n: {
+    getTranslations: () => ipcRenderer.invoke('i18n:getTranslations')
+  }
+});
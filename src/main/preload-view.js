@@ -0,0 +1,186 @@
+/**
+ * WhatsApp Dual - Account View Preload Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This preload script runs in every WhatsApp BrowserView. It replaces
+ * the page's HTML5 Notification API so notifications are shown by the
+ * main process, which knows which account they belong to.
+ *
+ * Flow:
+ * 1. WhatsApp Web calls `new Notification(title, options)`
+ * 2. The shim in the page forwards it through the exposed bridge
+ * 3. The main process shows a native notification prefixed with the
+ *    account name (or suppresses it, e.g. during do-not-disturb), with
+ *    the sender's picture as icon
+ * 4. Clicks and closes are sent back and dispatched on the page's
+ *    Notification object, so WhatsApp opens the right chat
+ *
+ * IPC Communication:
+ * - Sends: notification:show, notification:close
+ * - Receives: notification:event
+ */
+
+const { contextBridge, ipcRenderer, webFrame } = require('electron');
+
+// =============================================================================
+// Payload Sanitization
+// =============================================================================
+
+/** @type {number} Maximum length of notification title/body text */
+const MAX_TEXT_LENGTH = 500;
+
+/** @type {number} Largest icon forwarded to the main process (bytes) */
+const MAX_ICON_SIZE = 1024 * 1024;
+
+/**
+ * Returns the notification icon in a form the main process can load.
+ *
+ * WhatsApp Web passes the sender's picture as a blob: URL, which only
+ * resolves inside the page, so it is read here into a data URL. https:
+ * URLs are loaded by the main process; anything else is dropped.
+ *
+ * @param {*} icon - Icon option from the page
+ * @returns {Promise<string>} data: or https: URL, or '' for no icon
+ */
+async function resolveIcon(icon) {
+  if (typeof icon !== 'string' || icon.length > MAX_ICON_SIZE) return '';
+  if (icon.startsWith('data:image/') || icon.startsWith('https://')) return icon;
+  if (!icon.startsWith('blob:')) return '';
+
+  try {
+    const blob = await (await fetch(icon)).blob();
+    if (!blob.type.startsWith('image/') || blob.size > MAX_ICON_SIZE) return '';
+
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Keeps only the notification options the main process understands.
+ *
+ * @param {string} title - Notification title
+ * @param {Object} options - Notification options from the page
+ * @returns {Promise<Object>} Sanitized payload
+ */
+async function sanitizeNotification(title, options) {
+  const text = (value) => (typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : '');
+
+  return {
+    title: text(title),
+    body: text(options.body),
+    tag: text(options.tag),
+    icon: await resolveIcon(options.icon),
+    silent: options.silent === true
+  };
+}
+
+// =============================================================================
+// Bridge to the Main World
+// =============================================================================
+
+contextBridge.exposeInMainWorld('whatsappDualNotifications', {
+  show: (id, title, options) => {
+    sanitizeNotification(title, options || {}).then(payload => {
+      ipcRenderer.send('notification:show', String(id), payload);
+    });
+  },
+  close: (id) => ipcRenderer.send('notification:close', String(id)),
+  onEvent: (callback) => {
+    ipcRenderer.on('notification:event', (event, id, type) => callback(id, type));
+  }
+});
+
+// =============================================================================
+// Page Notification Shim
+// =============================================================================
+
+/**
+ * Replaces window.Notification in the page.
+ *
+ * This function is serialized and executed in the page's main world, so
+ * it must not reference anything from this file's scope.
+ *
+ * @returns {void}
+ */
+function installNotificationShim() {
+  const bridge = window.whatsappDualNotifications;
+  const active = new Map();
+  let nextId = 1;
+
+  class AppNotification extends EventTarget {
+    constructor(title, options = {}) {
+      super();
+      this.title = String(title);
+      this.body = options.body || '';
+      this.tag = options.tag || '';
+      this.icon = options.icon || '';
+      this.data = options.data === undefined ? null : options.data;
+      this.silent = options.silent === true;
+      this.onclick = null;
+      this.onclose = null;
+      this.onshow = null;
+      this.onerror = null;
+
+      this._id = String(nextId++);
+      active.set(this._id, this);
+      bridge.show(this._id, this.title, options);
+      setTimeout(() => this._dispatch('show'), 0);
+    }
+
+    static get permission() {
+      return 'granted';
+    }
+
+    static requestPermission(callback) {
+      if (typeof callback === 'function') callback('granted');
+      return Promise.resolve('granted');
+    }
+
+    close() {
+      bridge.close(this._id);
+    }
+
+    _dispatch(type) {
+      const event = new Event(type, { cancelable: true });
+      this.dispatchEvent(event);
+      const handler = this[`on${type}`];
+      if (typeof handler === 'function') handler.call(this, event);
+    }
+  }
+
+  bridge.onEvent((id, type) => {
+    const notification = active.get(id);
+    if (!notification) return;
+
+    if (type === 'click') {
+      window.focus();
+    }
+    notification._dispatch(type);
+    if (type === 'close') {
+      active.delete(id);
+    }
+  });
+
+  window.Notification = AppNotification;
+
+  // Notifications shown through the service worker take the same route
+  if (window.ServiceWorkerRegistration) {
+    window.ServiceWorkerRegistration.prototype.showNotification = function (title, options) {
+      new AppNotification(title, options);
+      return Promise.resolve();
+    };
+  }
+}
+
+webFrame.executeJavaScript(`(${installNotificationShim.toString()})();`);
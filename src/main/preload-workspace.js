@@ -0,0 +1,31 @@
+/**
+ * WhatsApp Dual - Workspace Preload Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Secure preload script for the main window's workspace page, which sits
+ * behind the WhatsApp BrowserViews. Uses contextBridge to expose only the
+ * layout API needed to drag the split divider and the recovery API used
+ * by the crash overlay's Reload button.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  // Split layout operations
+  layout: {
+    onUpdate: (callback) => {
+      ipcRenderer.on('layout:update', (event, state) => callback(state));
+    },
+    dragDivider: (position) => ipcRenderer.send('layout:dragDivider', position),
+    endDrag: () => ipcRenderer.send('layout:endDrag')
+  },
+
+  // Crashed account views
+  recovery: {
+    reload: (accountId) => ipcRenderer.send('recovery:reload', accountId)
+  }
+});
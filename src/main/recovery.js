@@ -0,0 +1,326 @@
+/**
+ * WhatsApp Dual - View Recovery Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module watches the account views for crashes, hangs and failed
+ * page loads and recovers them automatically, with backoff:
+ *
+ * 1st failure: reload after 1 s
+ * 2nd failure: reload after 5 s
+ * 3rd failure: recreate the view after 15 s
+ * 4th failure within 10 minutes: stop retrying and notify the user
+ *
+ * A hung page (no "responsive" event within 10 s of "unresponsive") is
+ * always recreated, since reloading a hung renderer may hang as well.
+ *
+ * While an account is not healthy, main.js detaches its view from the
+ * main window and the workspace page shows an overlay in its pane with a
+ * Reload button. Reloading manually resets the failure count.
+ *
+ * Every failure is logged with its reason. Page loads that fail because
+ * of the network are left to the connectivity module, which reloads them
+ * once the network is back.
+ */
+
+const { Notification } = require('electron');
+const i18n = require('../shared/i18n');
+const accounts = require('./accounts');
+const connectivity = require('./connectivity');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number[]} Delay before each automatic recovery attempt (ms) */
+const RETRY_DELAYS = [1000, 5000, 15000];
+
+/** @type {number} Attempt index (0-based) from which the view is recreated instead of reloaded */
+const RECREATE_FROM_ATTEMPT = 2;
+
+/** @type {number} Failures are counted within this window (ms) */
+const FAILURE_WINDOW = 10 * 60 * 1000;
+
+/** @type {number} Time an unresponsive page gets to recover by itself (ms) */
+const HANG_TIMEOUT = 10 * 1000;
+
+/** @type {string[]} render-process-gone reasons that are not failures */
+const IGNORED_GONE_REASONS = ['clean-exit'];
+
+/** @type {number} did-fail-load error code for aborted navigations (not a failure) */
+const ERR_ABORTED = -3;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/**
+ * Recovery state per account.
+ *
+ * status is 'ok', 'recovering' (an automatic attempt is pending or
+ * loading) or 'failed' (retries stopped).
+ *
+ * @type {Object.<string, {webContents: Electron.WebContents, status: string, reason: string, failures: number[], retryTimer: NodeJS.Timeout|null, hangTimer: NodeJS.Timeout|null}>}
+ */
+const entries = {};
+
+/** @type {Function|null} Reloads the view of an account */
+let reloadCallback = null;
+
+/** @type {Function|null} Destroys and recreates the view of an account */
+let recreateCallback = null;
+
+/** @type {Function|null} Called when an account's status changes */
+let onChangeCallback = null;
+
+/** @type {Function|null} Called when the "keeps crashing" notification is clicked */
+let onNotificationClickCallback = null;
+
+/** @type {Notification|null} Keeps the last notification alive for its click handler */
+let activeNotification = null;
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the callbacks that act on the account views.
+ *
+ * @param {Function} reload - Function(accountId) that reloads the account's view
+ * @param {Function} recreate - Function(accountId) that replaces the account's view with a new one
+ * @param {Function} onChange - Function(accountId) called when an account's status changes
+ * @param {Function} onNotificationClick - Function(accountId) called when the failure notification is clicked
+ * @returns {void}
+ */
+function init(reload, recreate, onChange, onNotificationClick) {
+  reloadCallback = reload;
+  recreateCallback = recreate;
+  onChangeCallback = onChange;
+  onNotificationClickCallback = onNotificationClick;
+}
+
+// =============================================================================
+// Status
+// =============================================================================
+
+/**
+ * Returns the recovery status of an account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {string} 'ok', 'recovering' or 'failed'
+ */
+function getStatus(accountId) {
+  return entries[accountId] ? entries[accountId].status : 'ok';
+}
+
+/**
+ * Check if an account's view is crashed, hung or being recovered.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {boolean} True if the account's view should not be shown
+ */
+function isUnhealthy(accountId) {
+  return getStatus(accountId) !== 'ok';
+}
+
+/**
+ * Updates an account's status and notifies main.js.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {string} status - New status
+ * @returns {void}
+ */
+function setStatus(accountId, status) {
+  const entry = entries[accountId];
+  if (!entry || entry.status === status) return;
+
+  entry.status = status;
+  if (onChangeCallback) {
+    onChangeCallback(accountId);
+  }
+}
+
+// =============================================================================
+// Failure Handling
+// =============================================================================
+
+/**
+ * Tells the user that an account keeps crashing.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function notifyGaveUp(accountId) {
+  if (!Notification.isSupported()) return;
+
+  activeNotification = new Notification({
+    title: accounts.getAccountDisplayName(accountId),
+    body: i18n.t('recovery.gaveUp', 'This account keeps crashing. Automatic recovery stopped; open it to reload.')
+  });
+  activeNotification.on('click', () => {
+    if (onNotificationClickCallback) {
+      onNotificationClickCallback(accountId);
+    }
+  });
+  activeNotification.show();
+}
+
+/**
+ * Records a failure and schedules the next recovery step.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {string} reason - Human-readable failure reason, for the log
+ * @param {boolean} [forceRecreate=false] - Recreate the view instead of reloading it
+ * @returns {void}
+ */
+function handleFailure(accountId, reason, forceRecreate = false) {
+  const entry = entries[accountId];
+  if (!entry || entry.status === 'failed') return;
+
+  const now = Date.now();
+  entry.failures = entry.failures.filter(time => now - time < FAILURE_WINDOW);
+  entry.failures.push(now);
+  entry.reason = reason;
+  clearTimeout(entry.retryTimer);
+  clearTimeout(entry.hangTimer);
+  entry.hangTimer = null;
+
+  const attempt = entry.failures.length - 1;
+
+  if (attempt >= RETRY_DELAYS.length) {
+    console.error(`Account ${accountId}: view failed again (${reason}), giving up after ${entry.failures.length} failures`);
+    entry.retryTimer = null;
+    setStatus(accountId, 'failed');
+    notifyGaveUp(accountId);
+    return;
+  }
+
+  const recreate = forceRecreate || attempt >= RECREATE_FROM_ATTEMPT;
+  const delay = RETRY_DELAYS[attempt];
+  console.error(`Account ${accountId}: view failed (${reason}), ${recreate ? 'recreating' : 'reloading'} in ${delay / 1000}s`);
+
+  entry.retryTimer = setTimeout(() => {
+    entry.retryTimer = null;
+    const callback = recreate ? recreateCallback : reloadCallback;
+    if (callback) callback(accountId);
+  }, delay);
+
+  setStatus(accountId, 'recovering');
+}
+
+/**
+ * Reloads an account on request, e.g. from the overlay's Reload button.
+ *
+ * Clears the failure count and recreates the view.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function retry(accountId) {
+  const entry = entries[accountId];
+  if (!entry) return;
+
+  clearTimeout(entry.retryTimer);
+  clearTimeout(entry.hangTimer);
+  entry.retryTimer = null;
+  entry.hangTimer = null;
+  entry.failures = [];
+  console.log(`Account ${accountId}: reloading on request`);
+
+  setStatus(accountId, 'recovering');
+  if (recreateCallback) recreateCallback(accountId);
+}
+
+// =============================================================================
+// View Tracking
+// =============================================================================
+
+/**
+ * Starts watching the webContents of an account view.
+ *
+ * Replaces any previously watched webContents of the same account;
+ * events of the old one are ignored from then on. The failure count is
+ * kept, so a recreated view that crashes again continues the backoff.
+ *
+ * @param {string} accountId - Account identifier
+ * @param {Electron.WebContents} webContents - The view's webContents
+ * @returns {void}
+ */
+function watch(accountId, webContents) {
+  const previous = entries[accountId];
+  const entry = {
+    webContents,
+    status: previous ? previous.status : 'ok',
+    reason: previous ? previous.reason : '',
+    failures: previous ? previous.failures : [],
+    retryTimer: previous ? previous.retryTimer : null,
+    hangTimer: null
+  };
+  if (previous) clearTimeout(previous.hangTimer);
+  entries[accountId] = entry;
+
+  const isCurrent = () => entries[accountId] === entry;
+
+  webContents.on('render-process-gone', (event, details) => {
+    if (!isCurrent() || IGNORED_GONE_REASONS.includes(details.reason)) return;
+    handleFailure(accountId, `renderer ${details.reason}, exit code ${details.exitCode}`);
+  });
+
+  webContents.on('unresponsive', () => {
+    if (!isCurrent() || entry.hangTimer) return;
+    console.warn(`Account ${accountId}: page unresponsive`);
+    entry.hangTimer = setTimeout(() => {
+      entry.hangTimer = null;
+      if (isCurrent()) handleFailure(accountId, 'unresponsive', true);
+    }, HANG_TIMEOUT);
+  });
+
+  webContents.on('responsive', () => {
+    clearTimeout(entry.hangTimer);
+    entry.hangTimer = null;
+  });
+
+  webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    if (!isCurrent() || !isMainFrame || errorCode === ERR_ABORTED || connectivity.isConnectionError(errorCode)) return;
+    handleFailure(accountId, `load failed: ${errorDescription} (${errorCode})`);
+  });
+
+  // A successful load ends the recovery; the failure count expires on its own
+  webContents.on('did-finish-load', () => {
+    if (isCurrent() && entry.status === 'recovering' && !entry.retryTimer) {
+      console.log(`Account ${accountId}: recovered`);
+      setStatus(accountId, 'ok');
+    }
+  });
+}
+
+/**
+ * Stops watching an account, e.g. when it is hibernated or removed.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function forget(accountId) {
+  const entry = entries[accountId];
+  if (!entry) return;
+
+  clearTimeout(entry.retryTimer);
+  clearTimeout(entry.hangTimer);
+  delete entries[accountId];
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  watch,
+  forget,
+  retry,
+  getStatus,
+  isUnhealthy
+};
@@ -19,6 +19,7 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const Store = require('electron-store');
+const accounts = require('./accounts');
 
 // =============================================================================
 // Store Instance
@@ -525,14 +526,16 @@ function getFilesRecursive(dirPath) {
 
 /**
  * Save session hashes for integrity verification.
+ *
+ * One hash is stored per registered account, keyed by account id.
  */
 function saveSessionHashes() {
   try {
-    const hashes = {
-      personal: calculateSessionHash('persist:whatsapp-personal'),
-      business: calculateSessionHash('persist:whatsapp-business'),
-      timestamp: Date.now()
-    };
+    const hashes = { timestamp: Date.now() };
+
+    for (const account of accounts.getAccounts()) {
+      hashes[account.id] = calculateSessionHash(account.partition);
+    }
 
     store.set('security.sessionHashes', hashes);
   } catch (error) {
@@ -552,18 +555,16 @@ function verifySessionIntegrity() {
     return { verified: true, firstRun: true };
   }
 
-  const currentPersonal = calculateSessionHash('persist:whatsapp-personal');
-  const currentBusiness = calculateSessionHash('persist:whatsapp-business');
+  const result = { verified: true, lastCheck: saved.timestamp };
 
-  const personalOk = !saved.personal || currentPersonal === saved.personal;
-  const businessOk = !saved.business || currentBusiness === saved.business;
+  // Accounts added after the last save have no stored hash and pass
+  for (const account of accounts.getAccounts()) {
+    const ok = !saved[account.id] || calculateSessionHash(account.partition) === saved[account.id];
+    result[account.id] = ok;
+    if (!ok) result.verified = false;
+  }
 
-  return {
-    verified: personalOk && businessOk,
-    personal: personalOk,
-    business: businessOk,
-    lastCheck: saved.timestamp
-  };
+  return result;
 }
 
 /**
@@ -654,8 +655,9 @@ function secureDeleteSession(partition) {
  * Securely delete all sessions.
  */
 function secureDeleteAllSessions() {
-  secureDeleteSession('persist:whatsapp-personal');
-  secureDeleteSession('persist:whatsapp-business');
+  for (const account of accounts.getAccounts()) {
+    secureDeleteSession(account.partition);
+  }
   store.delete('security.sessionHashes');
 }
 
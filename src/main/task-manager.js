@@ -0,0 +1,369 @@
+/**
+ * WhatsApp Dual - Task Manager Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module shows the memory and CPU usage of each account and
+ * reloads accounts that grow too large. WhatsApp Web leaks memory over
+ * days of uptime, so a long-running background account can end up using
+ * gigabytes.
+ *
+ * Usage figures come from app.getAppMetrics(), matched to each view's
+ * renderer process through webContents.getOSProcessId(). Everything else
+ * (main, GPU, utility processes, other windows) is summed up in a
+ * separate "other processes" row.
+ *
+ * Memory Rule (optional):
+ * "Reload an account when it uses more than X MB while in the
+ * background". Checked every 30 seconds, also while the task manager
+ * window is closed. Accounts in use (shown in the main window or a
+ * pop-out window) are never reloaded automatically.
+ *
+ * An account reloaded by the rule is left alone for RELOAD_COOLDOWN.
+ * Its memory use once the reload has settled is kept as a baseline, and
+ * it is only reloaded again after growing MIN_GROWTH_MB past it: an
+ * account that is over the limit right after loading would otherwise be
+ * reloaded (and re-synced) on every check.
+ *
+ * Storage Format (electron-store):
+ * - taskManager.autoReload: { enabled: false, limitMB: 1024 }
+ *
+ * IPC Communication (task manager window only):
+ * - Handles: taskManager:getRule, taskManager:setRule
+ * - Receives: taskManager:reload, taskManager:kill
+ * - Sends: taskManager:update (every 2 seconds while open)
+ */
+
+const { app, BrowserWindow, ipcMain } = require('electron');
+const path = require('path');
+const Store = require('electron-store');
+const i18n = require('../shared/i18n');
+const accounts = require('./accounts');
+const windowState = require('./window-state');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {number} Refresh interval of the open window (ms) */
+const UPDATE_INTERVAL = 2 * 1000;
+
+/** @type {number} Interval of the memory rule check (ms) */
+const RULE_INTERVAL = 30 * 1000;
+
+/** @type {Object} Default memory rule */
+const RULE_DEFAULTS = { enabled: false, limitMB: 1024 };
+
+/** @type {number} Smallest accepted memory limit (MB), above WhatsApp Web's normal use */
+const MIN_LIMIT_MB = 768;
+
+/** @type {number} Largest accepted memory limit (MB) */
+const MAX_LIMIT_MB = 16384;
+
+/** @type {number} Shortest time between two rule reloads of an account (ms) */
+const RELOAD_COOLDOWN = 30 * 60 * 1000;
+
+/** @type {number} Time after a rule reload before the baseline is measured (ms) */
+const SETTLE_TIME = 2 * 60 * 1000;
+
+/** @type {number} Growth over the baseline needed for another rule reload (MB) */
+const MIN_GROWTH_MB = 256;
+
+// =============================================================================
+// Module State
+// =============================================================================
+
+/** @type {BrowserWindow|null} The task manager window */
+let taskManagerWindow = null;
+
+/** @type {NodeJS.Timeout|null} Refresh interval of the open window */
+let updateInterval = null;
+
+/** @type {NodeJS.Timeout|null} Memory rule interval */
+let ruleInterval = null;
+
+/** @type {Function|null} Returns the webContents of every loaded account view */
+let getViewsCallback = null;
+
+/** @type {Function|null} Checks whether an account is shown */
+let isInUseCallback = null;
+
+/** @type {Function|null} Reloads an account's view */
+let reloadCallback = null;
+
+/** @type {Function|null} Ends an account's renderer process */
+let killCallback = null;
+
+/**
+ * Rule reloads per account ID: when the account was reloaded and its
+ * memory use once settled (null until SETTLE_TIME has passed).
+ *
+ * @type {Map<string, {time: number, baselineMB: number|null}>}
+ */
+const ruleReloads = new Map();
+
+// =============================================================================
+// Memory Rule
+// =============================================================================
+
+/**
+ * Returns the automatic reload rule.
+ *
+ * @returns {{enabled: boolean, limitMB: number}} Rule
+ */
+function getRule() {
+  const rule = { ...RULE_DEFAULTS, ...store.get('taskManager.autoReload', {}) };
+  // Limits saved before the minimum was raised
+  return { ...rule, limitMB: Math.max(rule.limitMB, MIN_LIMIT_MB) };
+}
+
+/**
+ * Saves the automatic reload rule.
+ *
+ * @param {{enabled: boolean, limitMB: number}} rule - Rule from the window
+ * @returns {boolean} True if the rule was valid and saved
+ */
+function setRule(rule) {
+  if (!rule || typeof rule.enabled !== 'boolean' || !Number.isInteger(rule.limitMB)) return false;
+  if (rule.limitMB < MIN_LIMIT_MB || rule.limitMB > MAX_LIMIT_MB) return false;
+
+  store.set('taskManager.autoReload', { enabled: rule.enabled, limitMB: rule.limitMB });
+  return true;
+}
+
+/**
+ * Checks whether an account may be reloaded by the rule again.
+ *
+ * Records the baseline of a settled reload as a side effect.
+ *
+ * @param {string} accountId - Account ID
+ * @param {number} memoryMB - Current memory use
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if the account has no recent rule reload and
+ *   has grown since its last one
+ */
+function canReloadAgain(accountId, memoryMB, now) {
+  const last = ruleReloads.get(accountId);
+  if (!last) return true;
+
+  if (last.baselineMB === null && now - last.time >= SETTLE_TIME) {
+    last.baselineMB = memoryMB;
+  }
+  if (now - last.time < RELOAD_COOLDOWN) return false;
+  return last.baselineMB === null || memoryMB >= last.baselineMB + MIN_GROWTH_MB;
+}
+
+/**
+ * Reloads background accounts that exceed the memory limit.
+ *
+ * @returns {void}
+ */
+function applyRule() {
+  const rule = getRule();
+  if (!rule.enabled) return;
+
+  const now = Date.now();
+  collectUsage().accounts.forEach(({ accountId, loaded, memoryMB }) => {
+    if (!loaded || !canReloadAgain(accountId, memoryMB, now)) return;
+
+    if (memoryMB > rule.limitMB && !isInUseCallback(accountId)) {
+      console.log(`Account ${accountId}: using ${memoryMB} MB in the background (limit ${rule.limitMB} MB), reloading`);
+      ruleReloads.set(accountId, { time: now, baselineMB: null });
+      reloadCallback(accountId);
+    }
+  });
+}
+
+/**
+ * Forgets the rule reloads of a removed account.
+ *
+ * @param {string} accountId - Account identifier
+ * @returns {void}
+ */
+function forget(accountId) {
+  ruleReloads.delete(accountId);
+}
+
+// =============================================================================
+// Metrics
+// =============================================================================
+
+/**
+ * Collects the memory and CPU usage per account.
+ *
+ * Accounts without a loaded view (loaded on demand, hibernated) are
+ * listed without figures.
+ *
+ * @returns {{accounts: Object[], other: {memoryMB: number, cpu: number}}} Usage
+ */
+function collectUsage() {
+  const metrics = new Map(app.getAppMetrics().map(metric => [metric.pid, metric]));
+  const views = getViewsCallback ? getViewsCallback() : {};
+  const accountPids = new Set();
+
+  const accountRows = accounts.getAccounts().map(account => {
+    const webContents = views[account.id];
+    const pid = webContents && !webContents.isDestroyed() ? webContents.getOSProcessId() : 0;
+    const metric = metrics.get(pid);
+    if (metric) accountPids.add(pid);
+
+    return {
+      accountId: account.id,
+      name: accounts.getAccountDisplayName(account),
+      loaded: !!metric,
+      inUse: isInUseCallback ? isInUseCallback(account.id) : false,
+      pid: metric ? pid : null,
+      // workingSetSize is reported in kilobytes
+      memoryMB: metric ? Math.round(metric.memory.workingSetSize / 1024) : 0,
+      cpu: metric ? Math.round(metric.cpu.percentCPUUsage * 10) / 10 : 0
+    };
+  });
+
+  const other = { memoryMB: 0, cpu: 0 };
+  metrics.forEach((metric, pid) => {
+    if (accountPids.has(pid)) return;
+    other.memoryMB += metric.memory.workingSetSize / 1024;
+    other.cpu += metric.cpu.percentCPUUsage;
+  });
+  other.memoryMB = Math.round(other.memoryMB);
+  other.cpu = Math.round(other.cpu * 10) / 10;
+
+  return { accounts: accountRows, other };
+}
+
+/**
+ * Sends the current usage to the open window.
+ *
+ * @returns {void}
+ */
+function sendUpdate() {
+  if (!taskManagerWindow || taskManagerWindow.isDestroyed()) return;
+  taskManagerWindow.webContents.send('taskManager:update', collectUsage());
+}
+
+// =============================================================================
+// Window
+// =============================================================================
+
+/**
+ * Opens the task manager window, or focuses it if already open.
+ *
+ * @param {BrowserWindow} parent - Main window
+ * @returns {void}
+ */
+function open(parent) {
+  if (taskManagerWindow) {
+    taskManagerWindow.focus();
+    return;
+  }
+
+  taskManagerWindow = new BrowserWindow({
+    ...windowState.getWindowOptions('taskManager', { width: 560, height: 420, minWidth: 460, minHeight: 320 }),
+    minWidth: 460,
+    minHeight: 320,
+    parent,
+    title: i18n.t('taskManager.title', 'Task manager'),
+    icon: path.join(__dirname, '../../assets/icons/icon.png'),
+    minimizable: false,
+    maximizable: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'preload-task-manager.js')
+    }
+  });
+
+  windowState.track('taskManager', taskManagerWindow);
+  taskManagerWindow.setMenuBarVisibility(false);
+  taskManagerWindow.loadFile(path.join(__dirname, '../renderer/task-manager.html'));
+  taskManagerWindow.webContents.on('did-finish-load', sendUpdate);
+
+  updateInterval = setInterval(sendUpdate, UPDATE_INTERVAL);
+
+  taskManagerWindow.on('closed', () => {
+    clearInterval(updateInterval);
+    updateInterval = null;
+    taskManagerWindow = null;
+  });
+}
+
+/**
+ * Closes the task manager window, e.g. when the app is locked, since it
+ * lists the accounts and their usage.
+ *
+ * @returns {void}
+ */
+function close() {
+  if (taskManagerWindow && !taskManagerWindow.isDestroyed()) {
+    taskManagerWindow.close();
+  }
+}
+
+/**
+ * Validates that an IPC request comes from the task manager window.
+ *
+ * @param {Electron.IpcMainEvent} event - IPC event
+ * @returns {boolean} True if sender is the task manager window
+ */
+function isTaskManagerSender(event) {
+  return !!taskManagerWindow && !taskManagerWindow.isDestroyed() && taskManagerWindow.webContents === event.sender;
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Registers the IPC handlers and starts the memory rule check.
+ *
+ * @param {Function} getViews - Returns an object mapping account IDs to the webContents of their loaded views
+ * @param {Function} isInUse - Function(accountId) returning true while the account is shown
+ * @param {Function} reload - Function(accountId) that reloads the account's view
+ * @param {Function} kill - Function(accountId) that ends the account's renderer process
+ * @returns {void}
+ */
+function init(getViews, isInUse, reload, kill) {
+  getViewsCallback = getViews;
+  isInUseCallback = isInUse;
+  reloadCallback = reload;
+  killCallback = kill;
+
+  if (ruleInterval) return;
+  ruleInterval = setInterval(applyRule, RULE_INTERVAL);
+
+  ipcMain.handle('taskManager:getRule', (event) => (isTaskManagerSender(event) ? getRule() : null));
+
+  ipcMain.handle('taskManager:setRule', (event, rule) => isTaskManagerSender(event) && setRule(rule));
+
+  ipcMain.on('taskManager:reload', (event, accountId) => {
+    if (!isTaskManagerSender(event) || !accounts.getAccount(accountId)) return;
+    reloadCallback(accountId);
+    setTimeout(sendUpdate, 500);
+  });
+
+  ipcMain.on('taskManager:kill', (event, accountId) => {
+    if (!isTaskManagerSender(event) || !accounts.getAccount(accountId)) return;
+    killCallback(accountId);
+    setTimeout(sendUpdate, 500);
+  });
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  init,
+  open,
+  close,
+  forget
+};
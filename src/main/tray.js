@@ -15,15 +15,28 @@
  * - Tray icon in the system notification area
  * - Right-click context menu with:
  *   - Show/Hide window toggle
- *   - Quick account switching (Personal/Business)
+ *   - Quick account switching (one entry per registered account,
+ *     with its unread count and, when not connected, its connectivity)
+ *   - Pause notifications for 1 hour / until tomorrow (see dnd.js)
  *   - Quit option
+ * - Unread badge drawn on the icon: total count plus one coloured dot
+ *   per account with unread messages (see badge.js)
+ * - Tooltip listing the unread count of each account
  * - Click to toggle window visibility
  * - Internationalized menu labels
+ *
+ * Account, pause and quit entries run actions of the action registry
+ * (actions.js), like the application menu and the command palette.
  */
 
-const { Tray, Menu, nativeImage, app } = require('electron');
+const { Tray, Menu, nativeImage } = require('electron');
 const path = require('path');
 const i18n = require('../shared/i18n');
+const accounts = require('./accounts');
+const { renderTrayIcon } = require('./badge');
+const dnd = require('./dnd');
+const connectivity = require('./connectivity');
+const actions = require('./actions');
 
 // =============================================================================
 // Module State
@@ -35,20 +48,14 @@ let tray = null;
 /** @type {BrowserWindow|null} Reference to the main window */
 let mainWindow = null;
 
-/** @type {NativeImage|null} Normal tray icon */
-let normalIcon = null;
-
-/** @type {NativeImage|null} Message notification icon */
-let messageIcon = null;
-
-/** @type {boolean} Current notification state */
-let hasNotification = false;
+/** @type {NativeImage|null} Full-size application icon the badge is drawn on */
+let baseIcon = null;
 
-/** @type {Function|null} Callback to switch accounts */
-let _switchAccountFn = null;
+/** @type {string} Key of the badge currently shown, to skip redundant redraws */
+let badgeKey = '';
 
-/** @type {Function|null} Callback to quit app properly */
-let _quitFn = null;
+/** @type {Object.<string, number>} Unread count per account ID */
+let unreadCounts = {};
 
 // =============================================================================
 // Tray Creation
@@ -66,25 +73,17 @@ let _quitFn = null;
  * @param {BrowserWindow} window - The main application window
  * @returns {Tray} The created tray instance
  */
-function createTray(window, switchAccountFn, quitFn) {
+function createTray(window) {
   mainWindow = window;
-  _switchAccountFn = switchAccountFn;
-  _quitFn = quitFn;
 
-  // Load and resize the normal tray icon
+  // Load the base icon; the tray image is rendered from it with the badge
   const iconPath = path.join(__dirname, '../../assets/icons/icon.png');
-  const icon = nativeImage.createFromPath(iconPath);
-  normalIcon = icon.resize({ width: 22, height: 22 });
+  baseIcon = nativeImage.createFromPath(iconPath);
+  badgeKey = '';
 
-  // Load and resize the message notification icon
-  const messageIconPath = path.join(__dirname, '../../assets/icons/icon-message.png');
-  const msgIcon = nativeImage.createFromPath(messageIconPath);
-  messageIcon = msgIcon.resize({ width: 22, height: 22 });
+  tray = new Tray(renderTrayIcon(baseIcon, 0));
 
-  tray = new Tray(normalIcon);
-  tray.setToolTip('WhatsApp Dual');
-
-  // Initialize context menu
+  // Initialize badge, tooltip and context menu
   updateContextMenu();
 
   // Toggle window visibility on tray icon click
@@ -106,25 +105,118 @@ function createTray(window, switchAccountFn, quitFn) {
 // Context Menu
 // =============================================================================
 
+/**
+ * Returns an account label with its unread count appended, e.g. "Business (12)".
+ *
+ * Accounts that are not connected get their state appended as well,
+ * e.g. "Business — Offline" or "Personal — Reconnecting…".
+ *
+ * @param {Object} account - Account entry from the registry
+ * @returns {string} Label for menus and tooltips
+ */
+function getLabelWithCount(account) {
+  const label = accounts.getAccountDisplayName(account);
+  const count = unreadCounts[account.id] || 0;
+  const withCount = count > 0 ? `${label} (${count})` : label;
+
+  switch (connectivity.getState(account.id)) {
+    case 'offline':
+      return `${withCount} — ${i18n.t('tray.offline', 'Offline')}`;
+    case 'reconnecting':
+      return `${withCount} — ${i18n.t('tray.reconnecting', 'Reconnecting…')}`;
+    default:
+      return withCount;
+  }
+}
+
+/**
+ * Updates the tray tooltip with the unread count of each account.
+ *
+ * Shows "WhatsApp Dual - Personal: 3, Business: 12" while any account
+ * has unread messages, or just "WhatsApp Dual" otherwise.
+ *
+ * @returns {void}
+ */
+function updateTooltip() {
+  if (!tray) return;
+
+  const parts = accounts.getAccounts()
+    .filter(account => (unreadCounts[account.id] || 0) > 0)
+    .map(account => `${accounts.getAccountDisplayName(account)}: ${unreadCounts[account.id]}`);
+
+  tray.setToolTip(parts.length > 0 ? `WhatsApp Dual - ${parts.join(', ')}` : 'WhatsApp Dual');
+}
+
+/**
+ * Builds the do-not-disturb entries of the context menu.
+ *
+ * While paused, shows until when and offers to resume; otherwise
+ * offers the pause durations.
+ *
+ * @param {Map<string, Object>} allActions - Actions from actions.getActions()
+ * @returns {Object[]} Menu template items
+ */
+function buildPauseItems(allActions) {
+  const pausedUntil = dnd.getPausedUntil();
+
+  if (pausedUntil) {
+    const time = new Date(pausedUntil).toLocaleString(i18n.getLanguage(), {
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    return [
+      {
+        label: `${i18n.t('tray.pausedUntil', 'Notifications paused until')} ${time}`,
+        enabled: false
+      },
+      actions.toMenuItem(allActions, 'resumeNotifications')
+    ];
+  }
+
+  return [
+    {
+      label: i18n.t('tray.pauseNotifications', 'Pause notifications'),
+      submenu: [
+        actions.toMenuItem(allActions, 'pauseHour', { label: i18n.t('tray.pauseHour', 'For 1 hour') }),
+        actions.toMenuItem(allActions, 'pauseTomorrow', { label: i18n.t('tray.pauseTomorrow', 'Until tomorrow') })
+      ]
+    }
+  ];
+}
+
 /**
  * Updates the tray context menu with current state and translations.
  *
  * The context menu provides:
  * - Show/Hide toggle (label changes based on window visibility)
- * - Personal account shortcut
- * - Business account shortcut
+ * - One shortcut per registered account, with its unread count
+ * - Do-not-disturb pause/resume
  * - Quit option
  *
+ * The tooltip and badge are refreshed as well, since they depend on the
+ * same account labels and colours.
+ *
  * This function should be called when:
  * - The tray is first created
  * - The window visibility changes
  * - The language setting changes
+ * - The account registry changes
+ * - The unread counts change
+ * - A do-not-disturb period starts or ends
+ * - The connectivity of an account changes
  *
  * @returns {void}
  */
 function updateContextMenu() {
   if (!tray) return;
 
+  updateTooltip();
+  updateBadge();
+
+  // Build the actions once for every item of the menu
+  const allActions = actions.getActions();
+
   const contextMenu = Menu.buildFromTemplate([
     // Show/Hide toggle - label reflects current state
     {
@@ -144,44 +236,18 @@ function updateContextMenu() {
     },
     { type: 'separator' },
 
-    // Quick account switching (uses callback instead of IPC — B1 fix)
-    {
-      label: i18n.t('menu.personal', 'Personal'),
-      click: () => {
-        if (_switchAccountFn) {
-          _switchAccountFn('personal');
-        }
-        if (mainWindow) {
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      }
-    },
-    {
-      label: i18n.t('menu.business', 'Business'),
-      click: () => {
-        if (_switchAccountFn) {
-          _switchAccountFn('business');
-        }
-        if (mainWindow) {
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      }
-    },
+    // Quick account switching (shows the window, or the account's own window)
+    ...accounts.getAccounts().map(account => actions.toMenuItem(allActions, `account:${account.id}`, {
+      label: getLabelWithCount(account),
+      accelerator: undefined
+    })),
     { type: 'separator' },
 
-    // Quit option (uses callback to set isQuitting — B2 fix)
-    {
-      label: i18n.t('tray.quit', 'Quit'),
-      click: () => {
-        if (_quitFn) {
-          _quitFn();
-        } else {
-          app.quit();
-        }
-      }
-    }
+    ...buildPauseItems(allActions),
+    { type: 'separator' },
+
+    // Quit option (the action sets isQuitting — B2 fix)
+    actions.toMenuItem(allActions, 'quit', { label: i18n.t('tray.quit', 'Quit') })
   ]);
 
   tray.setContextMenu(contextMenu);
@@ -211,29 +277,41 @@ function destroyTray() {
 // =============================================================================
 
 /**
- * Sets the notification state and updates the tray icon accordingly.
+ * Redraws the tray icon badge from the current unread counts.
  *
- * When there are unread messages, shows the message notification icon.
- * When all messages are read, shows the normal icon.
+ * The badge shows the total count ("99+" on overflow) and one dot in
+ * each account's colour for every account with unread messages. The
+ * image is only regenerated when the visible badge would change.
  *
- * @param {boolean} hasMessages - Whether there are unread messages
  * @returns {void}
  */
-function setNotificationState(hasMessages) {
-  if (!tray) return;
+function updateBadge() {
+  if (!tray || !baseIcon) return;
 
-  // Only update if state changed
-  if (hasNotification === hasMessages) return;
+  const unreadAccounts = accounts.getAccounts().filter(account => (unreadCounts[account.id] || 0) > 0);
+  const total = unreadAccounts.reduce((sum, account) => sum + unreadCounts[account.id], 0);
+  const dotColors = unreadAccounts.map(account => accounts.getAccountColor(account));
 
-  hasNotification = hasMessages;
+  const key = `${total}|${dotColors.join(',')}`;
+  if (key === badgeKey) return;
+  badgeKey = key;
 
-  if (hasMessages && messageIcon) {
-    tray.setImage(messageIcon);
-    tray.setToolTip('WhatsApp Dual - New messages');
-  } else if (normalIcon) {
-    tray.setImage(normalIcon);
-    tray.setToolTip('WhatsApp Dual');
-  }
+  tray.setImage(renderTrayIcon(baseIcon, total, dotColors));
+}
+
+/**
+ * Sets the per-account unread counts and updates the tray accordingly.
+ *
+ * The icon badge shows the total and which accounts have unread
+ * messages; the tooltip and the account entries of the context menu
+ * show the individual counts.
+ *
+ * @param {Object.<string, number>} counts - Unread count per account ID
+ * @returns {void}
+ */
+function setNotificationState(counts) {
+  unreadCounts = { ...counts };
+  updateContextMenu();
 }
 
 // =============================================================================
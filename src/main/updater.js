@@ -42,6 +42,9 @@ let updateInfo = null;
 /** @type {Function|null} Callback for update status changes */
 let onUpdateStatusChange = null;
 
+/** @type {Function|null} Callback invoked right before restarting to install */
+let onBeforeInstall = null;
+
 // =============================================================================
 // Auto-Updater Configuration
 // =============================================================================
@@ -190,6 +193,9 @@ autoUpdater.on('update-downloaded', (info) => {
     buttons: [i18n.t('updates.restartNow', 'Restart now'), i18n.t('updates.later', 'Later')]
   }).then(result => {
     if (result.response === 0) {
+      if (onBeforeInstall) {
+        onBeforeInstall();
+      }
       autoUpdater.quitAndInstall();
     }
   });
@@ -268,6 +274,19 @@ function setUpdateStatusCallback(callback) {
   onUpdateStatusChange = callback;
 }
 
+/**
+ * Sets a callback invoked before the app restarts to install an update.
+ *
+ * Used by main.js to let the windows close (instead of minimizing to
+ * the tray) and to persist state that must survive the restart.
+ *
+ * @param {Function} callback - Function()
+ * @returns {void}
+ */
+function setBeforeInstallCallback(callback) {
+  onBeforeInstall = callback;
+}
+
 // =============================================================================
 // Status Getters
 // =============================================================================
@@ -291,5 +310,6 @@ module.exports = {
   downloadUpdate,
   showUpdateDialog,
   setUpdateStatusCallback,
+  setBeforeInstallCallback,
   isUpdateAvailable
 };
@@ -0,0 +1,254 @@
+/**
+ * WhatsApp Dual - Window State Module
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * This module remembers the geometry of the app's windows between runs.
+ * Each window is identified by a name ('main', 'settings', one per
+ * popped-out account, ...) and its state is saved whenever it is moved,
+ * resized, maximized, put in fullscreen or closed.
+ *
+ * Usage:
+ * const state = windowState.getWindowOptions('main', { width: 1200, height: 800 });
+ * const window = new BrowserWindow({ ...state, ... });
+ * windowState.track('main', window);
+ *
+ * Storage Format (electron-store key 'windowState.<name>'):
+ * { x, y, width, height, isMaximized, isFullScreen, displayId }
+ *
+ * Display Sanity Checks:
+ * Saved positions are only reused when enough of the window is still
+ * visible on a connected display. Otherwise the window is centred on the
+ * display it was last on or, if that display has been disconnected, on
+ * the primary display, with its size clamped to fit. Unplugging a
+ * monitor therefore never leaves a window off-screen.
+ *
+ * The lock and PIN setup screens are intentionally not tracked; they
+ * are always centred over the main window.
+ */
+
+const { screen } = require('electron');
+const Store = require('electron-store');
+
+// =============================================================================
+// Store Instance
+// =============================================================================
+const store = new Store();
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {string} Storage key prefix for window states */
+const STORE_PREFIX = 'windowState';
+
+/** @type {number} Delay before persisting move/resize changes (ms) */
+const SAVE_DELAY = 500;
+
+/** @type {number} Minimum visible width/height on a display to reuse a position (px) */
+const MIN_VISIBLE = 100;
+
+// =============================================================================
+// Bounds Validation
+// =============================================================================
+
+/**
+ * Returns the storage key for a window.
+ *
+ * @param {string} name - Window name
+ * @returns {string} electron-store key
+ */
+function getStoreKey(name) {
+  return `${STORE_PREFIX}.${name}`;
+}
+
+/**
+ * Checks whether a saved position is still visible on a connected display.
+ *
+ * @param {Object} bounds - Saved bounds { x, y, width, height }
+ * @returns {boolean} True if enough of the window overlaps a display's work area
+ */
+function isVisibleOnSomeDisplay(bounds) {
+  return screen.getAllDisplays().some(display => {
+    const area = display.workArea;
+    const overlapWidth = Math.min(bounds.x + bounds.width, area.x + area.width) - Math.max(bounds.x, area.x);
+    const overlapHeight = Math.min(bounds.y + bounds.height, area.y + area.height) - Math.max(bounds.y, area.y);
+    return overlapWidth >= Math.min(MIN_VISIBLE, bounds.width) && overlapHeight >= Math.min(MIN_VISIBLE, bounds.height);
+  });
+}
+
+/**
+ * Returns the saved state of a window, if any.
+ *
+ * @param {string} name - Window name
+ * @returns {Object|null} Saved state or null
+ */
+function getSavedState(name) {
+  const state = store.get(getStoreKey(name));
+  if (!state || typeof state !== 'object') return null;
+  if (!Number.isFinite(state.width) || !Number.isFinite(state.height)) return null;
+  return state;
+}
+
+/**
+ * Returns the BrowserWindow options to restore a window's geometry.
+ *
+ * Falls back to the given defaults when nothing was saved. Positions that
+ * are no longer visible on any connected display are discarded, and
+ * sizes larger than the target display are clamped.
+ *
+ * @param {string} name - Window name
+ * @param {Object} defaults - Default { width, height } (and optional minWidth/minHeight)
+ * @returns {Object} Options with width, height and, if valid, x and y
+ */
+function getWindowOptions(name, defaults) {
+  const saved = getSavedState(name);
+  if (!saved) {
+    return { width: defaults.width, height: defaults.height };
+  }
+
+  const options = {
+    width: Math.max(saved.width, defaults.minWidth || 0),
+    height: Math.max(saved.height, defaults.minHeight || 0)
+  };
+
+  const hasPosition = Number.isFinite(saved.x) && Number.isFinite(saved.y);
+  if (hasPosition && isVisibleOnSomeDisplay({ ...options, x: saved.x, y: saved.y })) {
+    options.x = saved.x;
+    options.y = saved.y;
+    return options;
+  }
+
+  // Off-screen: centre on the display it was on, or on the primary one if that has disappeared
+  const display = screen.getAllDisplays().find(entry => entry.id === saved.displayId);
+  const area = (display || screen.getPrimaryDisplay()).workArea;
+  options.width = Math.min(options.width, area.width);
+  options.height = Math.min(options.height, area.height);
+  if (display) {
+    options.x = area.x + Math.round((area.width - options.width) / 2);
+    options.y = area.y + Math.round((area.height - options.height) / 2);
+  }
+  return options;
+}
+
+// =============================================================================
+// State Tracking
+// =============================================================================
+
+/**
+ * Persists the current geometry and state of a window.
+ *
+ * For maximized or fullscreen windows the normal (restored) bounds are
+ * saved, so un-maximizing after a restart returns to the previous size.
+ *
+ * @param {string} name - Window name
+ * @param {BrowserWindow} window - Window to save
+ * @returns {void}
+ */
+function saveState(name, window) {
+  if (!window || window.isDestroyed()) return;
+
+  const bounds = window.getNormalBounds();
+  const display = screen.getDisplayMatching(bounds);
+
+  store.set(getStoreKey(name), {
+    x: bounds.x,
+    y: bounds.y,
+    width: bounds.width,
+    height: bounds.height,
+    isMaximized: window.isMaximized(),
+    isFullScreen: window.isFullScreen(),
+    displayId: display ? display.id : null
+  });
+}
+
+/**
+ * Re-applies the saved maximized/fullscreen state of a window.
+ *
+ * Hidden windows (e.g. started minimized to the tray) are restored when
+ * first shown, since maximizing would otherwise show them.
+ *
+ * @param {string} name - Window name
+ * @param {BrowserWindow} window - Window to restore
+ * @returns {void}
+ */
+function restoreState(name, window) {
+  const saved = getSavedState(name);
+  if (!saved || (!saved.isMaximized && !saved.isFullScreen)) return;
+
+  const apply = () => {
+    if (window.isDestroyed()) return;
+    if (saved.isFullScreen && window.isFullScreenable()) {
+      window.setFullScreen(true);
+    } else if (saved.isMaximized && window.isMaximizable()) {
+      window.maximize();
+    }
+  };
+
+  if (window.isVisible()) {
+    apply();
+  } else {
+    window.once('show', apply);
+  }
+}
+
+/**
+ * Restores and tracks the state of a window.
+ *
+ * The window must have been created with the options returned by
+ * getWindowOptions(). Changes are saved shortly after moving or
+ * resizing, immediately on maximize/fullscreen changes, and on close.
+ *
+ * @param {string} name - Window name
+ * @param {BrowserWindow} window - Window to track
+ * @returns {void}
+ */
+function track(name, window) {
+  let saveTimer = null;
+
+  const saveNow = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    saveState(name, window);
+  };
+
+  // Debounced, so dragging a window does not write to disk on every pixel
+  const saveLater = () => {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveNow, SAVE_DELAY);
+  };
+
+  restoreState(name, window);
+
+  window.on('move', saveLater);
+  window.on('resize', saveLater);
+  window.on('maximize', saveNow);
+  window.on('unmaximize', saveNow);
+  window.on('enter-full-screen', saveNow);
+  window.on('leave-full-screen', saveNow);
+  window.on('close', saveNow);
+  window.on('closed', () => clearTimeout(saveTimer));
+}
+
+/**
+ * Removes the saved state of a window, e.g. when its account is removed.
+ *
+ * @param {string} name - Window name
+ * @returns {void}
+ */
+function forget(name) {
+  store.delete(getStoreKey(name));
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = {
+  getWindowOptions,
+  track,
+  forget
+};
@@ -0,0 +1,358 @@
+/**
+ * WhatsApp Dual - Downloads Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Renders the running and past downloads pushed by the main process,
+ * filtered by account, and handles the per-download actions.
+ *
+ * All Electron communication goes through window.electronAPI.* exposed
+ * by preload-downloads.js.
+ *
+ * IPC Communication:
+ * - Sends: downloads:pause, downloads:resume, downloads:cancel,
+ *   downloads:open, downloads:showInFolder, downloads:remove, downloads:clear
+ * - Invokes: downloads:getAll, i18n:getTranslations
+ * - Receives: downloads:update
+ */
+
+// =============================================================================
+// Preload API Reference (no require() calls)
+// =============================================================================
+
+const api = window.electronAPI;
+
+// =============================================================================
+// DOM Element References
+// =============================================================================
+
+/** @type {HTMLSelectElement} Account filter */
+const selectAccount = document.getElementById('select-account');
+
+/** @type {HTMLButtonElement} Removes finished downloads from the list */
+const btnClear = document.getElementById('btn-clear');
+
+/** @type {HTMLElement} List with one row per download */
+const downloadList = document.getElementById('download-list');
+
+/** @type {HTMLElement} Shown when the (filtered) list is empty */
+const downloadEmpty = document.getElementById('download-empty');
+
+// =============================================================================
+// State
+// =============================================================================
+
+/** @type {Object[]} Last download list received, newest first */
+let downloads = [];
+
+// =============================================================================
+// Translation
+// =============================================================================
+
+/** @type {Object} Translations loaded from the main process */
+let translations = {};
+
+/**
+ * Retrieves a translated string for the given dot-notation key.
+ *
+ * @param {string} key - Dot-notation translation key, e.g. "downloads.title"
+ * @param {string} [fallback] - Value to return when the key is not found
+ * @returns {string} The translated string or the fallback / key
+ */
+function t(key, fallback) {
+  let current = translations;
+  for (const part of key.split('.')) {
+    if (current == null || typeof current !== 'object') {
+      return fallback !== undefined ? fallback : key;
+    }
+    current = current[part];
+  }
+  if (typeof current === 'string') {
+    return current;
+  }
+  return fallback !== undefined ? fallback : key;
+}
+
+/**
+ * Applies translations to all elements with a data-i18n attribute.
+ *
+ * @returns {void}
+ */
+function applyTranslations() {
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const translation = t(element.getAttribute('data-i18n'));
+    if (translation !== element.getAttribute('data-i18n')) {
+      element.textContent = translation;
+    }
+  });
+  document.title = t('downloads.title', 'Downloads');
+  selectAccount.setAttribute('aria-label', t('downloads.account', 'Account'));
+}
+
+// =============================================================================
+// Theme
+// =============================================================================
+
+/**
+ * Follows the system dark/light preference.
+ *
+ * @returns {void}
+ */
+function applySystemTheme() {
+  const mq = window.matchMedia('(prefers-color-scheme: dark)');
+  const apply = () => {
+    document.documentElement.setAttribute('data-theme', mq.matches ? 'dark' : 'light');
+  };
+  apply();
+  mq.addEventListener('change', apply);
+}
+
+// =============================================================================
+// Formatting
+// =============================================================================
+
+/**
+ * Formats a byte count, e.g. 1536 → "1.5 KB".
+ *
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Builds the status line of a download.
+ *
+ * Running: "1.2 MB / 4.0 MB · 350.0 KB/s" (or the paused label).
+ * Finished: state, size and date.
+ *
+ * @param {Object} download - Download from the main process
+ * @returns {string} Status text
+ */
+function getStatusText(download) {
+  const parts = [download.accountName];
+
+  if (download.active) {
+    const size = download.totalBytes > 0
+      ? `${formatBytes(download.receivedBytes)} / ${formatBytes(download.totalBytes)}`
+      : formatBytes(download.receivedBytes);
+    parts.push(size);
+
+    if (download.paused) {
+      parts.push(t('downloads.paused', 'Paused'));
+    } else if (download.state === 'interrupted') {
+      parts.push(t('downloads.interrupted', 'Interrupted'));
+    } else {
+      parts.push(`${formatBytes(download.speed)}/s`);
+    }
+    return parts.join(' · ');
+  }
+
+  if (download.state === 'completed') {
+    parts.push(formatBytes(download.totalBytes || download.receivedBytes));
+    if (!download.exists) {
+      parts.push(t('downloads.fileMissing', 'File moved or deleted'));
+    }
+  } else if (download.state === 'cancelled') {
+    parts.push(t('downloads.cancelled', 'Cancelled'));
+  } else if (download.state === 'blocked') {
+    parts.push(t('downloads.blocked', 'Blocked: this type of file can harm your computer'));
+  } else {
+    parts.push(t('downloads.failed', 'Failed'));
+  }
+
+  if (download.endTime) {
+    parts.push(new Date(download.endTime).toLocaleString());
+  }
+  return parts.join(' · ');
+}
+
+// =============================================================================
+// Download List
+// =============================================================================
+
+/**
+ * Creates a small action button.
+ *
+ * @param {string} label - Button text
+ * @param {string} className - Extra button class
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createActionButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.className = `btn btn-small ${className}`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates the action buttons that apply to a download's state.
+ *
+ * @param {Object} download - Download from the main process
+ * @returns {HTMLButtonElement[]}
+ */
+function createActions(download) {
+  const { id } = download;
+
+  if (download.active) {
+    const actions = [];
+    if (download.paused || download.state === 'interrupted') {
+      if (download.canResume) {
+        actions.push(createActionButton(t('downloads.resume', 'Resume'), 'btn-secondary', () => api.downloads.resume(id)));
+      }
+    } else {
+      actions.push(createActionButton(t('downloads.pause', 'Pause'), 'btn-secondary', () => api.downloads.pause(id)));
+    }
+    actions.push(createActionButton(t('downloads.cancel', 'Cancel'), 'btn-danger', () => api.downloads.cancel(id)));
+    return actions;
+  }
+
+  const actions = [];
+  if (download.exists) {
+    actions.push(
+      createActionButton(t('downloads.open', 'Open'), 'btn-primary', () => api.downloads.open(id)),
+      createActionButton(t('downloads.showInFolder', 'Show in folder'), 'btn-secondary', () => api.downloads.showInFolder(id))
+    );
+  }
+  const remove = createActionButton('✕', 'btn-secondary', () => api.downloads.remove(id));
+  remove.title = t('downloads.remove', 'Remove from list');
+  remove.setAttribute('aria-label', remove.title);
+  actions.push(remove);
+  return actions;
+}
+
+/**
+ * Creates the row of a download.
+ *
+ * @param {Object} download - Download from the main process
+ * @returns {HTMLLIElement}
+ */
+function createRow(download) {
+  const row = document.createElement('li');
+  row.className = 'download-row';
+  if (!download.active && download.state !== 'completed') {
+    row.classList.add('download-finished-failed');
+  }
+
+  const info = document.createElement('div');
+  info.className = 'download-info';
+
+  const name = document.createElement('div');
+  name.className = 'download-name';
+  name.textContent = download.filename;
+  name.title = download.savePath || download.filename;
+
+  const status = document.createElement('div');
+  status.className = 'download-status';
+  status.textContent = getStatusText(download);
+
+  info.append(name, status);
+
+  if (download.active) {
+    const progress = document.createElement('progress');
+    progress.className = 'download-progress';
+    // Without max the bar is indeterminate (unknown size)
+    if (download.totalBytes > 0) {
+      progress.max = download.totalBytes;
+      progress.value = download.receivedBytes;
+    }
+    info.appendChild(progress);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'download-actions';
+  actions.append(...createActions(download));
+
+  row.append(info, actions);
+  return row;
+}
+
+/**
+ * Fills the account filter with the accounts found in the list.
+ *
+ * The current selection is kept while it still has downloads.
+ *
+ * @returns {void}
+ */
+function renderAccountFilter() {
+  const selected = selectAccount.value;
+  const names = new Map();
+  downloads.forEach(download => {
+    if (!names.has(download.accountId)) names.set(download.accountId, download.accountName);
+  });
+
+  const allOption = selectAccount.options[0];
+  const options = [...names].map(([accountId, accountName]) => {
+    const option = document.createElement('option');
+    option.value = accountId;
+    option.textContent = accountName;
+    return option;
+  });
+  selectAccount.replaceChildren(allOption, ...options);
+  selectAccount.value = names.has(selected) ? selected : '';
+}
+
+/**
+ * Renders the download list for the selected account.
+ *
+ * @returns {void}
+ */
+function renderDownloads() {
+  renderAccountFilter();
+
+  const accountId = selectAccount.value;
+  const visible = downloads.filter(download => !accountId || download.accountId === accountId);
+
+  downloadList.replaceChildren(...visible.map(createRow));
+  downloadEmpty.classList.toggle('js-hidden', visible.length > 0);
+  btnClear.disabled = !downloads.some(download => !download.active);
+}
+
+/**
+ * Stores and renders a list received from the main process.
+ *
+ * @param {Object[]} list - Downloads, newest first
+ * @returns {void}
+ */
+function updateDownloads(list) {
+  downloads = list;
+  renderDownloads();
+}
+
+// =============================================================================
+// Event Listeners
+// =============================================================================
+
+selectAccount.addEventListener('change', renderDownloads);
+btnClear.addEventListener('click', () => api.downloads.clear());
+
+api.downloads.onUpdate(updateDownloads);
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+applySystemTheme();
+
+(async () => {
+  try {
+    translations = await api.i18n.getTranslations();
+    applyTranslations();
+    updateDownloads(await api.downloads.getAll());
+  } catch (error) {
+    console.error('Error initializing downloads:', error);
+  }
+})();
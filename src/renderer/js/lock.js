@@ -35,6 +35,7 @@ const resetModal = document.getElementById('reset-modal');
 const cancelResetBtn = document.getElementById('btn-cancel-reset');
 const confirmResetBtn = document.getElementById('btn-confirm-reset');
 const lockIcon = document.querySelector('.lock-icon');
+const lockAccounts = document.getElementById('lock-accounts');
 
 // =============================================================================
 // Translation Helper (Q8)
@@ -385,6 +386,38 @@ if (resetModal) {
   });
 }
 
+// =============================================================================
+// Locked Accounts
+// =============================================================================
+
+/**
+ * Shows one chip per account (emoji, label and colour) so the user can
+ * see which numbers are locked.
+ */
+async function renderLockedAccounts() {
+  if (!lockAccounts || !window.electronAPI.accounts) return;
+
+  try {
+    const accounts = await window.electronAPI.accounts.getAll();
+    lockAccounts.replaceChildren(...accounts.map(account => {
+      const chip = document.createElement('span');
+      chip.className = 'lock-account';
+      chip.style.borderColor = account.color;
+
+      const dot = document.createElement('span');
+      dot.className = 'lock-account-dot';
+      dot.style.backgroundColor = account.color;
+      dot.textContent = account.emoji || '';
+      dot.classList.toggle('has-emoji', !!account.emoji);
+
+      chip.append(dot, document.createTextNode(account.label));
+      return chip;
+    }));
+  } catch (error) {
+    console.error('Error loading accounts:', error);
+  }
+}
+
 // =============================================================================
 // Initialization
 // =============================================================================
@@ -405,6 +438,8 @@ async function init() {
     console.error('Error loading translations:', error);
   }
 
+  renderLockedAccounts();
+
   // B4 — Check initial lockout status
   try {
     const lockoutStatus = await window.electronAPI.security.checkLockout();
@@ -0,0 +1,324 @@
+/**
+ * WhatsApp Dual - Command Palette Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Filters the app actions with a fuzzy match as the user types and runs
+ * the chosen one. Arrow keys move the selection, Enter runs it and
+ * Escape closes the palette.
+ *
+ * All Electron communication goes through window.electronAPI.* exposed
+ * by preload-palette.js.
+ *
+ * IPC Communication:
+ * - Sends: palette:run, palette:close
+ * - Invokes: palette:getEntries, i18n:getTranslations
+ */
+
+// =============================================================================
+// Preload API Reference (no require() calls)
+// =============================================================================
+
+const api = window.electronAPI;
+
+// =============================================================================
+// DOM Element References
+// =============================================================================
+
+/** @type {HTMLInputElement} Search field */
+const input = document.getElementById('palette-input');
+
+/** @type {HTMLElement} List with one row per matching action */
+const list = document.getElementById('palette-list');
+
+/** @type {HTMLElement} Shown when no action matches */
+const emptyState = document.getElementById('palette-empty');
+
+// =============================================================================
+// State
+// =============================================================================
+
+/** @type {Object[]} Actions from the main process, in menu order */
+let entries = [];
+
+/** @type {Object[]} Actions matching the search, best first */
+let results = [];
+
+/** @type {number} Index of the selected row in results */
+let selectedIndex = 0;
+
+// =============================================================================
+// Translation
+// =============================================================================
+
+/** @type {Object} Translations loaded from the main process */
+let translations = {};
+
+/**
+ * Retrieves a translated string for the given dot-notation key.
+ *
+ * @param {string} key - Dot-notation translation key, e.g. "palette.empty"
+ * @param {string} [fallback] - Value to return when the key is not found
+ * @returns {string} The translated string or the fallback / key
+ */
+function t(key, fallback) {
+  let current = translations;
+  for (const part of key.split('.')) {
+    if (current == null || typeof current !== 'object') {
+      return fallback !== undefined ? fallback : key;
+    }
+    current = current[part];
+  }
+  if (typeof current === 'string') {
+    return current;
+  }
+  return fallback !== undefined ? fallback : key;
+}
+
+/**
+ * Applies translations to all elements with a data-i18n attribute.
+ *
+ * @returns {void}
+ */
+function applyTranslations() {
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const translation = t(element.getAttribute('data-i18n'));
+    if (translation !== element.getAttribute('data-i18n')) {
+      element.textContent = translation;
+    }
+  });
+  document.title = t('menu.commandPalette', 'Command palette');
+  input.placeholder = t('palette.placeholder', 'Type an action…');
+  input.setAttribute('aria-label', document.title);
+}
+
+// =============================================================================
+// Theme
+// =============================================================================
+
+/**
+ * Follows the system dark/light preference.
+ *
+ * @returns {void}
+ */
+function applySystemTheme() {
+  const mq = window.matchMedia('(prefers-color-scheme: dark)');
+  const apply = () => {
+    document.documentElement.setAttribute('data-theme', mq.matches ? 'dark' : 'light');
+  };
+  apply();
+  mq.addEventListener('change', apply);
+}
+
+// =============================================================================
+// Fuzzy Matching
+// =============================================================================
+
+/**
+ * Matches a query against a text as a subsequence, ignoring case.
+ *
+ * "rlp" matches "Reload Personal". Consecutive characters and characters
+ * at the start of a word score higher, so "rel" ranks "Reload" above
+ * "Return to main window".
+ *
+ * @param {string} query - Lower-case search text without spaces
+ * @param {string} text - Text to search in
+ * @returns {{score: number, positions: number[]}|null} Match, or null if
+ *   the query is not a subsequence of the text
+ */
+function fuzzyMatch(query, text) {
+  const lower = text.toLowerCase();
+  const positions = [];
+  let score = 0;
+  let from = 0;
+
+  for (const char of query) {
+    const index = lower.indexOf(char, from);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === 0 || /[\s:(]/.test(lower[index - 1])) score += 3;
+    if (positions.length > 0 && index === positions[positions.length - 1] + 1) score += 2;
+
+    positions.push(index);
+    from = index + 1;
+  }
+
+  // Prefer matches that start early and spread less, then shorter texts
+  score -= (positions[0] + (positions[positions.length - 1] - positions[0])) / 100 + text.length / 1000;
+  return { score, positions };
+}
+
+/**
+ * Returns the actions matching the search text, best first.
+ *
+ * The label is searched first; the group name is only used when the
+ * label alone does not match ("notif" finds the pause options).
+ *
+ * @param {string} text - Search text
+ * @returns {Object[]} Entries with score and highlight positions
+ */
+function search(text) {
+  const query = text.toLowerCase().replace(/\s+/g, '');
+  if (!query) return entries.map(entry => ({ ...entry, positions: [] }));
+
+  return entries
+    .map((entry, order) => {
+      const labelMatch = fuzzyMatch(query, entry.label);
+      if (labelMatch) return { ...entry, order, ...labelMatch };
+
+      const groupMatch = fuzzyMatch(query, `${entry.group} ${entry.label}`);
+      return groupMatch ? { ...entry, order, score: groupMatch.score - 5, positions: [] } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
+// =============================================================================
+// Action List
+// =============================================================================
+
+/**
+ * Creates the label of a row, highlighting the matched characters.
+ *
+ * @param {Object} result - Search result
+ * @returns {HTMLSpanElement}
+ */
+function createLabel(result) {
+  const label = document.createElement('span');
+  label.className = 'palette-label';
+
+  const matched = new Set(result.positions);
+  // Positions are string indexes, so split by code unit (not code point)
+  result.label.split('').forEach((char, index) => {
+    if (matched.has(index)) {
+      const mark = document.createElement('mark');
+      mark.textContent = char;
+      label.appendChild(mark);
+    } else {
+      label.append(char);
+    }
+  });
+  return label;
+}
+
+/**
+ * Creates the row of an action.
+ *
+ * @param {Object} result - Search result
+ * @param {number} index - Position in results
+ * @returns {HTMLLIElement}
+ */
+function createRow(result, index) {
+  const row = document.createElement('li');
+  row.className = 'palette-row';
+  row.id = `palette-option-${index}`;
+  row.setAttribute('role', 'option');
+
+  const group = document.createElement('span');
+  group.className = 'palette-group';
+  group.textContent = result.group;
+
+  row.append(group, createLabel(result));
+
+  if (result.shortcut) {
+    const shortcut = document.createElement('kbd');
+    shortcut.className = 'palette-shortcut';
+    shortcut.textContent = result.shortcut;
+    row.appendChild(shortcut);
+  }
+
+  row.addEventListener('mousemove', () => select(index));
+  row.addEventListener('click', () => runSelected());
+  return row;
+}
+
+/**
+ * Marks a row as selected and scrolls it into view.
+ *
+ * @param {number} index - Position in results
+ * @returns {void}
+ */
+function select(index) {
+  if (index === selectedIndex && list.children[index]?.classList.contains('selected')) return;
+
+  selectedIndex = index;
+  [...list.children].forEach((row, rowIndex) => {
+    row.classList.toggle('selected', rowIndex === index);
+    row.setAttribute('aria-selected', rowIndex === index ? 'true' : 'false');
+  });
+
+  const row = list.children[index];
+  if (row) {
+    row.scrollIntoView({ block: 'nearest' });
+    input.setAttribute('aria-activedescendant', row.id);
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Renders the actions matching the search field.
+ *
+ * @returns {void}
+ */
+function render() {
+  results = search(input.value);
+  list.replaceChildren(...results.map(createRow));
+  emptyState.classList.toggle('js-hidden', results.length > 0);
+  selectedIndex = -1;
+  select(0);
+}
+
+/**
+ * Runs the selected action; the main process closes the palette.
+ *
+ * @returns {void}
+ */
+function runSelected() {
+  const result = results[selectedIndex];
+  if (result) api.palette.run(result.id);
+}
+
+// =============================================================================
+// Event Listeners
+// =============================================================================
+
+input.addEventListener('input', render);
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' && results.length > 0) {
+    e.preventDefault();
+    select((selectedIndex + 1) % results.length);
+  } else if (e.key === 'ArrowUp' && results.length > 0) {
+    e.preventDefault();
+    select((selectedIndex - 1 + results.length) % results.length);
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    runSelected();
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    api.palette.close();
+  }
+});
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+applySystemTheme();
+
+(async () => {
+  try {
+    translations = await api.i18n.getTranslations();
+    applyTranslations();
+    entries = await api.palette.getEntries();
+    render();
+    input.focus();
+  } catch (error) {
+    console.error('Error initializing command palette:', error);
+  }
+})();
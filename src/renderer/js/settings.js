@@ -12,13 +12,23 @@
  *
  * This version does NOT use nodeIntegration. All Electron communication
  * goes through window.electronAPI.* exposed by the preload script.
+ * normalizeAccelerator() and hasRequiredModifier() come from
+ * ../shared/accelerators.js, loaded before this script.
  *
  * Available Settings:
  * - Language: UI language (English/Spanish/...)
  * - Start with system: Launch app on system startup
  * - Start minimized: Start hidden in system tray
  * - Minimize to tray: Hide to tray instead of closing
+ * - Reload after reconnecting: Grace period before reloading accounts after a network change or resume
+ * - Accounts: Add, remove, rename and reorder WhatsApp accounts
+ * - Account colour frame and typing confirmation after switching account
+ * - Do not disturb: Weekly quiet periods per account
+ * - Memory: Load accounts on demand and hibernate them in the background
+ * - Start with: Last used account or a fixed default account
  * - Default account: Which account to show on startup
+ * - Keyboard shortcuts: In-app key combinations of the menu actions
+ * - Global shortcuts: Optional system-wide key combinations (show/hide, accounts, lock)
  * - Theme: Light / Dark / System
  * - Security: PIN lock, auto-lock, advanced security options
  *
@@ -80,8 +90,9 @@ function t(key, fallback) {
  * Applies translations to all elements with a data-i18n attribute.
  *
  * Finds every DOM element marked with [data-i18n] and replaces its
- * text content with the corresponding translation. Also updates the
- * document title.
+ * text content with the corresponding translation. Elements marked with
+ * [data-i18n-placeholder] get their placeholder translated. Also updates
+ * the document title.
  *
  * @returns {void}
  */
@@ -94,6 +105,14 @@ function applyTranslations() {
     }
   });
 
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    const key = element.getAttribute('data-i18n-placeholder');
+    const translation = t(key);
+    if (translation && translation !== key) {
+      element.placeholder = translation;
+    }
+  });
+
   // Update window title
   document.title = t('settings.title', 'Settings');
 }
@@ -167,9 +186,61 @@ const checkMinimized = document.getElementById('check-minimized');
 /** @type {HTMLInputElement} Checkbox for minimize to tray */
 const checkTray = document.getElementById('check-tray');
 
+/** @type {HTMLSelectElement} Start with (last used / fixed account) selector */
+const selectStartAccount = document.getElementById('select-start-account');
+
 /** @type {HTMLSelectElement} Default account selector */
 const selectDefaultAccount = document.getElementById('select-default-account');
 
+/** @type {HTMLElement} Default account row (dimmed when starting with the last account) */
+const defaultAccountRow = document.getElementById('default-account-row');
+
+// Account Registry Elements
+/** @type {HTMLElement} Container for the account rows */
+const accountList = document.getElementById('account-list');
+
+/** @type {HTMLInputElement} Name input for a new account */
+const inputNewAccount = document.getElementById('input-new-account');
+
+/** @type {HTMLButtonElement} Add account button */
+const btnAddAccount = document.getElementById('btn-add-account');
+
+/** @type {HTMLSelectElement} Account that opens WhatsApp chat links ('ask' or an account ID) */
+const selectChatLinkAccount = document.getElementById('select-chat-link-account');
+
+/** @type {HTMLSelectElement} Grace period before reloading after reconnecting */
+const selectReconnectGrace = document.getElementById('select-reconnect-grace');
+
+/** @type {HTMLSelectElement} Account colour frame style selector */
+const selectAccountFrame = document.getElementById('select-account-frame');
+
+/** @type {HTMLInputElement} Checkbox for typing confirmation after switching account */
+const checkConfirmTyping = document.getElementById('check-confirm-typing');
+
+/** @type {HTMLElement} Container for the do-not-disturb rules of each account */
+const dndList = document.getElementById('dnd-list');
+
+/** @type {HTMLElement} Container for the hibernation options of each account */
+const hibernationList = document.getElementById('hibernation-list');
+
+/** @type {HTMLElement} Container for the download folder options of each account */
+const downloadLocationList = document.getElementById('download-location-list');
+
+/** @type {HTMLInputElement} Blocked file extensions, comma-separated */
+const inputBlockedTypes = document.getElementById('input-blocked-types');
+
+/** @type {HTMLInputElement} File extensions that need confirmation, comma-separated */
+const inputConfirmTypes = document.getElementById('input-confirm-types');
+
+/** @type {HTMLElement} Container for the in-app keyboard shortcut of each action */
+const keymapList = document.getElementById('keymap-list');
+
+/** @type {HTMLInputElement} Checkbox that turns the global shortcuts on */
+const checkGlobalShortcuts = document.getElementById('check-global-shortcuts');
+
+/** @type {HTMLElement} Container for the key combination field of each action */
+const globalShortcutList = document.getElementById('global-shortcut-list');
+
 // Security Settings Elements
 /** @type {HTMLInputElement} Checkbox for PIN lock enabled */
 const checkPinEnabled = document.getElementById('check-pin-enabled');
@@ -235,6 +306,45 @@ const btnClose = document.getElementById('btn-close');
 /** @type {boolean} Flag indicating if PIN is currently set */
 let isPinSet = false;
 
+/** @type {Object[]} Registered accounts as returned by the main process */
+let accounts = [];
+
+/** @type {Object.<string, Object[]>} Do-not-disturb rules being edited, by account ID */
+let dndRules = {};
+
+/** @type {Object.<string, {loadOnDemand: boolean, hibernateAfter: number}>} Hibernation options being edited, by account ID */
+let hibernationSettings = {};
+
+/** @type {Object.<string, {mode: string, folder: string, dateFolders: boolean}>} Download folder options being edited, by account ID */
+let downloadLocations = {};
+
+/** @type {{enabled: boolean, bindings: Object.<string, string>, status: Object.<string, string>}} Global shortcuts being edited and their last registration results */
+let globalShortcuts = { enabled: false, bindings: {}, status: {} };
+
+/** @type {Object[]} In-app shortcut actions from the keymap (keymap.js) */
+let keymapEntries = [];
+
+/** @type {Object.<string, string>} In-app shortcuts being edited, by action ('' = none) */
+let keymap = {};
+
+/** @type {boolean} Whether this is macOS, where CmdOrCtrl means the Command key */
+const IS_MAC = navigator.platform.startsWith('Mac');
+
+/** @type {Object.<string, string>} Accelerator names of KeyboardEvent#code values that are not letters, digits or F-keys */
+const ACCELERATOR_KEYS = {
+  Space: 'Space', Enter: 'Enter', Tab: 'Tab', Backspace: 'Backspace', Delete: 'Delete', Insert: 'Insert',
+  Home: 'Home', End: 'End', PageUp: 'PageUp', PageDown: 'PageDown',
+  ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+  Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+  Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Backquote: '`'
+};
+
+/** @type {number[]} Selectable "hibernate after" values in minutes (0 = keep awake) */
+const HIBERNATE_OPTIONS = [0, 5, 15, 30, 60, 120];
+
+/** @type {number[]} Weekdays in display order (Date#getDay() numbering, Monday first) */
+const DND_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
 // =============================================================================
 // Settings Management
 // =============================================================================
@@ -269,7 +379,35 @@ async function loadSettings() {
     checkStartup.checked = settings.startWithSystem || false;
     checkMinimized.checked = settings.startMinimized || false;
     checkTray.checked = settings.minimizeToTray !== undefined ? settings.minimizeToTray : true;
-    selectDefaultAccount.value = settings.defaultAccount || 'personal';
+    selectReconnectGrace.value = String(settings.reconnectGrace !== undefined ? settings.reconnectGrace : 10);
+
+    // Accounts (also fills the default account selector)
+    await loadAccounts();
+    selectDefaultAccount.value = settings.defaultAccount || accounts[0].id;
+    selectChatLinkAccount.value = settings.chatLinkAccount || 'ask';
+    selectStartAccount.value = settings.startAccount === 'last' ? 'last' : 'fixed';
+    updateDefaultAccountVisibility();
+    selectAccountFrame.value = settings.accountFrame || 'off';
+    checkConfirmTyping.checked = settings.confirmTyping || false;
+    dndRules = settings.dndRules || {};
+    renderDndList();
+    hibernationSettings = settings.hibernation || {};
+    renderHibernationList();
+    downloadLocations = settings.downloadLocations || {};
+    renderDownloadLocationList();
+    if (settings.downloadSafety) {
+      inputBlockedTypes.value = settings.downloadSafety.blocked.join(', ');
+      inputConfirmTypes.value = settings.downloadSafety.confirm.join(', ');
+    }
+    globalShortcuts = settings.globalShortcuts || globalShortcuts;
+    checkGlobalShortcuts.checked = globalShortcuts.enabled;
+    renderGlobalShortcutList();
+    keymapEntries = settings.keymap || [];
+    keymap = {};
+    keymapEntries.forEach(entry => {
+      keymap[entry.id] = entry.accelerator;
+    });
+    renderKeymapList();
 
     // Security - Load from main process
     await loadSecuritySettings();
@@ -278,6 +416,672 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Loads the account registry from the main process and renders it.
+ *
+ * Rebuilds the account rows and the default account selector while
+ * keeping the current selector value when that account still exists.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadAccounts() {
+  try {
+    accounts = await api.accounts.getAll();
+
+    const selected = selectDefaultAccount.value;
+    selectDefaultAccount.replaceChildren(...accounts.map(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.emoji ? `${account.emoji} ${account.label}` : account.label;
+      return option;
+    }));
+    if (accounts.some(account => account.id === selected)) {
+      selectDefaultAccount.value = selected;
+    }
+
+    const selectedChatLinkAccount = selectChatLinkAccount.value;
+    selectChatLinkAccount.replaceChildren(selectChatLinkAccount.options[0], ...accounts.map(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.emoji ? `${account.emoji} ${account.label}` : account.label;
+      return option;
+    }));
+    selectChatLinkAccount.value = accounts.some(account => account.id === selectedChatLinkAccount) ? selectedChatLinkAccount : 'ask';
+
+    renderAccountList();
+    renderDndList();
+    renderHibernationList();
+    renderDownloadLocationList();
+    renderGlobalShortcutList();
+    renderKeymapList();
+  } catch (error) {
+    console.error('Error loading accounts:', error);
+  }
+}
+
+/**
+ * Creates a small icon-style button for an account row.
+ *
+ * @param {string} text - Button text
+ * @param {string} label - Accessible label
+ * @param {string} className - Extra button class
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createAccountButton(text, label, className, onClick) {
+  const button = document.createElement('button');
+  button.className = `btn btn-small ${className}`;
+  button.textContent = text;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Renders one editable row per registered account.
+ *
+ * Each row has an emoji field, a name field (renamed on change), an
+ * accent colour picker, move up/down buttons and a remove button. The
+ * last remaining account cannot be removed.
+ *
+ * @returns {void}
+ */
+function renderAccountList() {
+  accountList.replaceChildren(...accounts.map((account, index) => {
+    const row = document.createElement('div');
+    row.className = 'setting-row account-row';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'setting-input';
+    input.maxLength = 40;
+    input.value = account.name || '';
+    input.placeholder = account.label;
+    input.setAttribute('aria-label', t('settings.accountName', 'Account name'));
+    input.addEventListener('change', async () => {
+      await api.accounts.rename(account.id, input.value);
+      await loadAccounts();
+    });
+
+    const emojiInput = document.createElement('input');
+    emojiInput.type = 'text';
+    emojiInput.className = 'setting-input account-emoji';
+    emojiInput.maxLength = 16;
+    emojiInput.value = account.emoji || '';
+    emojiInput.placeholder = '🙂';
+    emojiInput.title = t('settings.accountEmoji', 'Emoji');
+    emojiInput.setAttribute('aria-label', t('settings.accountEmoji', 'Emoji'));
+    emojiInput.addEventListener('change', async () => {
+      await api.accounts.setAppearance(account.id, { emoji: emojiInput.value });
+      await loadAccounts();
+    });
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'account-color';
+    colorInput.value = account.color;
+    colorInput.title = t('settings.accountColor', 'Colour');
+    colorInput.setAttribute('aria-label', t('settings.accountColor', 'Colour'));
+    colorInput.addEventListener('change', async () => {
+      await api.accounts.setAppearance(account.id, { color: colorInput.value });
+      await loadAccounts();
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'account-actions';
+
+    const btnUp = createAccountButton('↑', t('settings.moveUp', 'Move up'), 'btn-secondary', async () => {
+      await api.accounts.move(account.id, -1);
+      await loadAccounts();
+    });
+    btnUp.disabled = index === 0;
+
+    const btnDown = createAccountButton('↓', t('settings.moveDown', 'Move down'), 'btn-secondary', async () => {
+      await api.accounts.move(account.id, 1);
+      await loadAccounts();
+    });
+    btnDown.disabled = index === accounts.length - 1;
+
+    const btnRemove = createAccountButton('✕', t('settings.removeAccount', 'Remove account'), 'btn-danger', async () => {
+      const confirmed = confirm(
+        `${account.label}: ${t('settings.removeAccountConfirm', 'Remove this account? Its WhatsApp session will be deleted from this computer.')}`
+      );
+      if (!confirmed) return;
+
+      await api.accounts.remove(account.id);
+      await loadAccounts();
+    });
+    btnRemove.disabled = accounts.length <= 1;
+
+    actions.append(btnUp, btnDown, btnRemove);
+    row.append(emojiInput, input, colorInput, actions);
+    return row;
+  }));
+}
+
+/**
+ * Adds a new account using the name typed in the add field.
+ *
+ * @returns {Promise<void>}
+ */
+async function addAccount() {
+  const name = inputNewAccount.value.trim();
+  if (!name) {
+    inputNewAccount.focus();
+    return;
+  }
+
+  try {
+    await api.accounts.add(name);
+    inputNewAccount.value = '';
+    await loadAccounts();
+  } catch (error) {
+    console.error('Error adding account:', error);
+  }
+}
+
+/**
+ * Returns the short, localized name of a weekday.
+ *
+ * @param {number} day - Day in Date#getDay() numbering (0 = Sunday)
+ * @returns {string} e.g. "Mon" or "lun"
+ */
+function getWeekdayName(day) {
+  // 2024-01-07 was a Sunday
+  const date = new Date(2024, 0, 7 + day);
+  return date.toLocaleDateString(selectLanguage.value || 'en', { weekday: 'short' });
+}
+
+/**
+ * Creates the editor row of one quiet period.
+ *
+ * Edits are kept in `dndRules` and sent to the main process on save.
+ *
+ * @param {string} accountId - Account the rule belongs to
+ * @param {Object} rule - Rule { days, start, end }
+ * @returns {HTMLElement}
+ */
+function createDndRuleRow(accountId, rule) {
+  const row = document.createElement('div');
+  row.className = 'setting-row dnd-rule';
+
+  const days = document.createElement('div');
+  days.className = 'dnd-days';
+  DND_WEEKDAYS.forEach(day => {
+    const label = document.createElement('label');
+    label.className = 'dnd-day';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = rule.days.includes(day);
+    checkbox.addEventListener('change', () => {
+      rule.days = checkbox.checked
+        ? [...rule.days, day]
+        : rule.days.filter(entry => entry !== day);
+    });
+
+    label.append(checkbox, getWeekdayName(day));
+    days.appendChild(label);
+  });
+
+  const times = document.createElement('div');
+  times.className = 'dnd-times';
+  ['start', 'end'].forEach((field, index) => {
+    const input = document.createElement('input');
+    input.type = 'time';
+    input.className = 'setting-input';
+    input.value = rule[field];
+    input.setAttribute('aria-label', index === 0 ? t('settings.dndFrom', 'From') : t('settings.dndTo', 'To'));
+    input.addEventListener('change', () => {
+      rule[field] = input.value;
+    });
+
+    if (index === 1) {
+      const separator = document.createElement('span');
+      separator.textContent = '–';
+      times.appendChild(separator);
+    }
+    times.appendChild(input);
+  });
+
+  const btnRemove = createAccountButton('✕', t('settings.dndRemove', 'Remove quiet period'), 'btn-danger', () => {
+    dndRules[accountId] = dndRules[accountId].filter(entry => entry !== rule);
+    renderDndList();
+  });
+
+  row.append(days, times, btnRemove);
+  return row;
+}
+
+/**
+ * Renders the do-not-disturb rules of every account.
+ *
+ * Each account gets a subsection with one row per quiet period and a
+ * button to add another one (weekdays 22:00–07:00 by default).
+ *
+ * @returns {void}
+ */
+function renderDndList() {
+  dndList.replaceChildren(...accounts.map(account => {
+    const rules = dndRules[account.id] || (dndRules[account.id] = []);
+
+    const section = document.createElement('div');
+    section.className = 'setting-subsection';
+
+    const heading = document.createElement('h3');
+    heading.textContent = account.emoji ? `${account.emoji} ${account.label}` : account.label;
+
+    const btnAdd = document.createElement('button');
+    btnAdd.className = 'btn btn-secondary btn-small dnd-add';
+    btnAdd.textContent = t('settings.dndAdd', 'Add quiet period');
+    btnAdd.addEventListener('click', () => {
+      rules.push({ days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' });
+      renderDndList();
+    });
+
+    section.append(heading, ...rules.map(rule => createDndRuleRow(account.id, rule)), btnAdd);
+    return section;
+  }));
+}
+
+/**
+ * Renders the hibernation options of every account.
+ *
+ * Each row has a "load on demand" checkbox and a "hibernate after"
+ * selector; "Never" keeps the account awake in the background.
+ *
+ * @returns {void}
+ */
+function renderHibernationList() {
+  hibernationList.replaceChildren(...accounts.map(account => {
+    const options = hibernationSettings[account.id]
+      || (hibernationSettings[account.id] = { loadOnDemand: false, hibernateAfter: 0 });
+
+    const row = document.createElement('div');
+    row.className = 'setting-row hibernation-row';
+
+    const name = document.createElement('span');
+    name.className = 'hibernation-account';
+    name.textContent = account.emoji ? `${account.emoji} ${account.label}` : account.label;
+
+    const onDemandLabel = document.createElement('label');
+    onDemandLabel.className = 'hibernation-on-demand';
+    const onDemand = document.createElement('input');
+    onDemand.type = 'checkbox';
+    onDemand.className = 'setting-checkbox';
+    onDemand.checked = options.loadOnDemand;
+    onDemand.addEventListener('change', () => {
+      options.loadOnDemand = onDemand.checked;
+    });
+    onDemandLabel.append(onDemand, t('settings.loadOnDemand', 'Load on demand'));
+
+    const select = document.createElement('select');
+    select.className = 'setting-select';
+    select.setAttribute('aria-label', t('settings.hibernateAfter', 'Hibernate in background after'));
+    select.replaceChildren(...HIBERNATE_OPTIONS.map(minutes => {
+      const option = document.createElement('option');
+      option.value = String(minutes);
+      option.textContent = minutes === 0
+        ? t('settings.keepAwake', 'Always keep awake')
+        : `${t('settings.hibernateAfter', 'Hibernate in background after')} ${minutes} ${t('settings.minutes', 'minutes')}`;
+      return option;
+    }));
+    select.value = String(options.hibernateAfter);
+    select.addEventListener('change', () => {
+      options.hibernateAfter = parseInt(select.value, 10);
+    });
+
+    row.append(name, onDemandLabel, select);
+    return row;
+  }));
+}
+
+/**
+ * Renders the download folder options of every account.
+ *
+ * Each account gets a subsection with the save mode, its folder (with a
+ * button to pick another one) and the monthly sub-folder option. Accounts
+ * added since the settings were loaded have no folder yet; the main
+ * process fills in their default on save.
+ *
+ * @returns {void}
+ */
+function renderDownloadLocationList() {
+  downloadLocationList.replaceChildren(...accounts.map(account => {
+    const location = downloadLocations[account.id]
+      || (downloadLocations[account.id] = { mode: 'ask', folder: '', dateFolders: false });
+
+    const section = document.createElement('div');
+    section.className = 'setting-subsection';
+
+    const heading = document.createElement('h3');
+    heading.textContent = account.emoji ? `${account.emoji} ${account.label}` : account.label;
+
+    const modeRow = document.createElement('div');
+    modeRow.className = 'setting-row';
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'setting-select';
+    modeSelect.setAttribute('aria-label', t('settings.downloadMode', 'When downloading'));
+    modeSelect.replaceChildren(...[
+      ['ask', t('settings.downloadAsk', 'Always ask where to save')],
+      ['auto', t('settings.downloadAuto', 'Save automatically')]
+    ].map(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+    modeSelect.value = location.mode;
+    modeSelect.addEventListener('change', () => {
+      location.mode = modeSelect.value;
+    });
+    const modeLabel = document.createElement('label');
+    modeLabel.textContent = t('settings.downloadMode', 'When downloading');
+    modeRow.append(modeLabel, modeSelect);
+
+    const folderRow = document.createElement('div');
+    folderRow.className = 'setting-row download-folder-row';
+    const folderPath = document.createElement('span');
+    folderPath.className = 'download-folder-path';
+    folderPath.textContent = location.folder;
+    folderPath.title = location.folder;
+    const btnChange = document.createElement('button');
+    btnChange.className = 'btn btn-secondary btn-small';
+    btnChange.textContent = t('settings.downloadChange', 'Change…');
+    btnChange.addEventListener('click', async () => {
+      const folder = await api.settings.chooseDownloadFolder(location.folder);
+      if (folder) {
+        location.folder = folder;
+        folderPath.textContent = folder;
+        folderPath.title = folder;
+      }
+    });
+    folderRow.append(folderPath, btnChange);
+
+    const dateRow = document.createElement('div');
+    dateRow.className = 'setting-row';
+    const dateLabel = document.createElement('label');
+    dateLabel.textContent = t('settings.downloadDateFolders', 'Sort into monthly sub-folders');
+    const dateCheck = document.createElement('input');
+    dateCheck.type = 'checkbox';
+    dateCheck.className = 'setting-checkbox';
+    dateCheck.checked = location.dateFolders;
+    dateCheck.setAttribute('aria-label', dateLabel.textContent);
+    dateCheck.addEventListener('change', () => {
+      location.dateFolders = dateCheck.checked;
+    });
+    dateRow.append(dateLabel, dateCheck);
+
+    section.append(heading, modeRow, folderRow, dateRow);
+    return section;
+  }));
+}
+
+/**
+ * Splits a comma- or space-separated list of file extensions.
+ *
+ * ".EXE, sh" → ['exe', 'sh']; the main process validates each entry.
+ *
+ * @param {string} value - Text field value
+ * @returns {string[]} Extensions without dots
+ */
+function parseExtensions(value) {
+  return value
+    .split(/[\s,;]+/)
+    .map(extension => extension.replace(/^\.+/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Returns the label of a global shortcut action.
+ *
+ * @param {string} action - 'toggle', 'lock' or 'account:<id>'
+ * @returns {string} Label
+ */
+function getGlobalShortcutLabel(action) {
+  if (action === 'toggle') return t('settings.shortcutToggle', 'Show/hide window');
+  if (action === 'lock') return t('settings.shortcutLock', 'Lock (requires a PIN)');
+
+  const account = accounts.find(entry => `account:${entry.id}` === action);
+  const name = account ? (account.emoji ? `${account.emoji} ${account.label}` : account.label) : action;
+  return `${t('settings.shortcutAccount', 'Show')} ${name}`;
+}
+
+/**
+ * Returns the message for a binding that could not be registered.
+ *
+ * @param {string} status - Registration result from the main process
+ * @returns {string} Message, or '' if the binding works
+ */
+function getGlobalShortcutProblem(status) {
+  switch (status) {
+    case 'conflict':
+      return t('settings.shortcutConflict', 'Already used by another application');
+    case 'invalid':
+      return t('settings.shortcutInvalid', 'Not a valid key combination');
+    case 'duplicate':
+      return t('settings.shortcutDuplicate', 'Already used by another shortcut');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Converts a key press into an Electron accelerator, e.g. "Ctrl+Alt+W".
+ *
+ * Ctrl, Alt or Super/Command is required, except for F-keys, so a
+ * shortcut never takes plain or capital-letter typing away from
+ * WhatsApp or other applications (see hasRequiredModifier()).
+ *
+ * @param {KeyboardEvent} event - Key press in a shortcut field
+ * @returns {string|null} Accelerator, or null if the press is not a complete combination
+ */
+function toAccelerator(event) {
+  let key = null;
+  const match = /^(?:Key([A-Z])|Digit([0-9])|(F[0-9]{1,2})|Numpad([0-9]))$/.exec(event.code);
+  if (match) {
+    key = match[1] || match[2] || match[3] || `num${match[4]}`;
+  } else {
+    key = ACCELERATOR_KEYS[event.code] || null;
+  }
+  if (!key) return null;
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+  if (event.metaKey) modifiers.push(IS_MAC ? 'Command' : 'Super');
+
+  const accelerator = [...modifiers, key].join('+');
+  return hasRequiredModifier(accelerator) ? accelerator : null;
+}
+
+/**
+ * Formats an accelerator for display, e.g. "CmdOrCtrl+," → "Ctrl+,".
+ *
+ * @param {string} accelerator - Accelerator
+ * @returns {string} Label
+ */
+function formatAccelerator(accelerator) {
+  return accelerator.replace(/\b(CmdOrCtrl|CommandOrControl)\b/g, IS_MAC ? 'Cmd' : 'Ctrl');
+}
+
+/**
+ * Creates a settings row with a field that records a key combination.
+ *
+ * While the field has focus the registered global shortcuts are
+ * suspended, so the combinations reach the field. Backspace or Delete
+ * clears the field and Escape leaves it unchanged. The problem text is
+ * shown below the label until the field is changed.
+ *
+ * @param {string} labelText - Action name
+ * @param {string} value - Current accelerator ('' = none)
+ * @param {string} problemText - Problem to show, or '' if none
+ * @param {Function} onChange - Called with the new accelerator ('' = none)
+ * @param {string} [defaultValue] - Default accelerator; adds a restore button
+ * @returns {HTMLElement} Row
+ */
+function createShortcutRow(labelText, value, problemText, onChange, defaultValue) {
+  const row = document.createElement('div');
+  row.className = 'setting-row shortcut-row';
+
+  const labelGroup = document.createElement('div');
+  labelGroup.className = 'setting-label-group';
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  const problem = document.createElement('span');
+  problem.className = 'setting-description setting-warning';
+  problem.textContent = problemText;
+  problem.classList.toggle('js-hidden', !problemText);
+  labelGroup.append(label, problem);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.readOnly = true;
+  input.className = 'setting-input shortcut-input';
+  input.value = formatAccelerator(value);
+  input.placeholder = t('settings.shortcutNone', 'Not set');
+  input.setAttribute('aria-label', labelText);
+
+  const setValue = (accelerator) => {
+    input.value = formatAccelerator(accelerator);
+    problem.classList.add('js-hidden');
+    onChange(accelerator);
+  };
+
+  input.addEventListener('focus', () => api.settings.suspendGlobalShortcuts(true));
+  input.addEventListener('blur', () => api.settings.suspendGlobalShortcuts(false));
+  input.addEventListener('keydown', (e) => {
+    const plain = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+    if (e.key === 'Tab' && plain) return;
+
+    // Keep Escape and Ctrl+Enter from closing or saving the window
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (plain && (e.key === 'Backspace' || e.key === 'Delete')) {
+      setValue('');
+    } else if (plain && e.key === 'Escape') {
+      input.blur();
+    } else {
+      const accelerator = toAccelerator(e);
+      if (accelerator) setValue(accelerator);
+    }
+  });
+
+  row.append(labelGroup, input);
+  if (defaultValue !== undefined) {
+    row.appendChild(createAccountButton('↺', t('settings.shortcutReset', 'Restore default'), 'btn-secondary', () => setValue(defaultValue)));
+  }
+  row.appendChild(createAccountButton('✕', t('settings.shortcutClear', 'Clear'), 'btn-secondary', () => setValue('')));
+  return row;
+}
+
+/**
+ * Returns the keymap actions that apply to the current accounts.
+ *
+ * Account shortcuts are only listed for positions that have an account.
+ *
+ * @returns {Object[]} Keymap entries from the main process
+ */
+function getVisibleKeymapEntries() {
+  return keymapEntries.filter(entry => entry.position === undefined || entry.position < accounts.length);
+}
+
+/**
+ * Finds keyboard shortcuts that cannot work.
+ *
+ * - duplicate: The combination is used by an earlier action
+ * - global: The combination is also a global shortcut, which takes it
+ *   away from the app
+ *
+ * @returns {Object.<string, string>} Problem by action
+ */
+function getKeymapProblems() {
+  const problems = {};
+  const used = new Set();
+  const global = new Set(checkGlobalShortcuts.checked
+    ? Object.values(globalShortcuts.bindings).filter(Boolean).map(normalizeAccelerator)
+    : []);
+
+  getVisibleKeymapEntries().forEach(entry => {
+    const accelerator = keymap[entry.id];
+    if (!accelerator) return;
+
+    const key = normalizeAccelerator(accelerator);
+    if (used.has(key)) {
+      problems[entry.id] = 'duplicate';
+    } else if (global.has(key)) {
+      problems[entry.id] = 'global';
+    }
+    used.add(key);
+  });
+  return problems;
+}
+
+/**
+ * Renders the shortcut editor for the in-app keyboard shortcuts.
+ *
+ * @returns {void}
+ */
+function renderKeymapList() {
+  const problems = getKeymapProblems();
+
+  keymapList.replaceChildren(...getVisibleKeymapEntries().map(entry => {
+    let name;
+    if (entry.position !== undefined) {
+      const account = accounts[entry.position];
+      name = account.emoji ? `${account.emoji} ${account.label}` : account.label;
+    } else {
+      name = t(entry.i18nKey, entry.fallback);
+    }
+
+    let problem = '';
+    if (problems[entry.id] === 'duplicate') {
+      problem = t('settings.shortcutDuplicate', 'Already used by another shortcut');
+    } else if (problems[entry.id] === 'global') {
+      problem = t('settings.shortcutGlobal', 'Also a global shortcut, which takes precedence');
+    }
+
+    return createShortcutRow(name, keymap[entry.id], problem, (accelerator) => {
+      keymap[entry.id] = accelerator;
+    }, entry.defaultAccelerator);
+  }));
+}
+
+/**
+ * Renders the key combination field of every global shortcut action.
+ *
+ * Problems from the last registration are shown below the action.
+ *
+ * @returns {void}
+ */
+function renderGlobalShortcutList() {
+  const actions = ['toggle', ...accounts.map(account => `account:${account.id}`), 'lock'];
+
+  globalShortcutList.replaceChildren(...actions.map(action => createShortcutRow(
+    getGlobalShortcutLabel(action),
+    globalShortcuts.bindings[action] || '',
+    getGlobalShortcutProblem(globalShortcuts.status[action]),
+    (accelerator) => {
+      globalShortcuts.bindings[action] = accelerator;
+      delete globalShortcuts.status[action];
+    }
+  )));
+
+  updateGlobalShortcutVisibility();
+}
+
+/**
+ * Dims the shortcut fields while global shortcuts are turned off.
+ *
+ * @returns {void}
+ */
+function updateGlobalShortcutVisibility() {
+  globalShortcutList.style.opacity = checkGlobalShortcuts.checked ? '1' : '0.5';
+}
+
 /**
  * Loads security settings from the main process and updates UI.
  *
@@ -373,24 +1177,59 @@ function updateAutolockTimeoutVisibility() {
   selectAutolockTimeout.disabled = !checkAutolock.checked;
 }
 
+/**
+ * Updates the default account row for the "Start with" choice.
+ *
+ * The default account only applies when starting with a fixed account;
+ * with "last used account" it is just the fallback.
+ *
+ * @returns {void}
+ */
+function updateDefaultAccountVisibility() {
+  const fixed = selectStartAccount.value === 'fixed';
+  defaultAccountRow.style.opacity = fixed ? '1' : '0.5';
+  selectDefaultAccount.disabled = !fixed;
+}
+
 /**
  * Saves all settings and notifies the main process.
  *
  * Persists user preferences via the preload API so the main process
  * can update the application menu, tray, and system login items.
  *
- * After saving, the settings window is closed.
+ * Nothing is saved while two keyboard shortcuts share a combination.
+ * After saving, the settings window is closed, unless a global shortcut
+ * could not be registered: the window then stays open and shows why.
  *
  * @returns {Promise<void>}
  */
 async function saveSettings() {
   try {
+    if (Object.keys(getKeymapProblems()).length > 0) {
+      renderKeymapList();
+      keymapList.scrollIntoView({ block: 'nearest' });
+      return;
+    }
+
     // Build the settings object
     const settingsData = {
       language: selectLanguage.value,
       startWithSystem: checkStartup.checked,
       startMinimized: checkMinimized.checked,
       minimizeToTray: checkTray.checked,
+      reconnectGrace: parseInt(selectReconnectGrace.value, 10),
+      startAccount: selectStartAccount.value,
+      accountFrame: selectAccountFrame.value,
+      confirmTyping: checkConfirmTyping.checked,
+      dndRules,
+      hibernation: hibernationSettings,
+      downloadLocations,
+      downloadSafety: {
+        blocked: parseExtensions(inputBlockedTypes.value),
+        confirm: parseExtensions(inputConfirmTypes.value)
+      },
+      chatLinkAccount: selectChatLinkAccount.value,
+      keymap,
       defaultAccount: selectDefaultAccount.value
     };
 
@@ -400,6 +1239,19 @@ async function saveSettings() {
     // Save security settings to main process
     await saveSecuritySettings();
 
+    // Register the global shortcuts and keep the window open on problems
+    globalShortcuts.enabled = checkGlobalShortcuts.checked;
+    const shortcutStatus = await api.settings.saveGlobalShortcuts({
+      enabled: globalShortcuts.enabled,
+      bindings: globalShortcuts.bindings
+    });
+    if (shortcutStatus && Object.values(shortcutStatus).some(status => status !== 'ok')) {
+      globalShortcuts.status = shortcutStatus;
+      renderGlobalShortcutList();
+      globalShortcutList.scrollIntoView({ block: 'nearest' });
+      return;
+    }
+
     // Close window via preload API
     api.window.close();
   } catch (error) {
@@ -455,6 +1307,21 @@ function closeWindow() {
 btnSave.addEventListener('click', saveSettings);
 btnCancel.addEventListener('click', closeWindow);
 btnClose.addEventListener('click', closeWindow);
+btnAddAccount.addEventListener('click', addAccount);
+
+// Dim the default account selector when starting with the last used account
+selectStartAccount.addEventListener('change', updateDefaultAccountVisibility);
+
+// Dim the shortcut fields while global shortcuts are off
+checkGlobalShortcuts.addEventListener('change', updateGlobalShortcutVisibility);
+
+// Add the account on Enter in the name field
+inputNewAccount.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey) {
+    e.preventDefault();
+    addAccount();
+  }
+});
 
 /**
  * Preview language changes in real-time.
@@ -468,6 +1335,12 @@ selectLanguage.addEventListener('change', async () => {
     const lang = selectLanguage.value;
     translations = await api.i18n.getTranslationsForLanguage(lang);
     applyTranslations();
+    renderAccountList();
+    renderDndList();
+    renderHibernationList();
+    renderDownloadLocationList();
+    renderGlobalShortcutList();
+    renderKeymapList();
   } catch (error) {
     console.error('Error loading translations for preview:', error);
   }
@@ -0,0 +1,239 @@
+/**
+ * WhatsApp Dual - Task Manager Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Renders the per-account memory and CPU usage pushed by the main
+ * process every two seconds, and handles the reload/end process buttons
+ * and the automatic reload rule.
+ *
+ * All Electron communication goes through window.electronAPI.* exposed
+ * by preload-task-manager.js.
+ *
+ * IPC Communication:
+ * - Sends: taskManager:reload, taskManager:kill
+ * - Invokes: taskManager:getRule, taskManager:setRule, i18n:getTranslations
+ * - Receives: taskManager:update
+ */
+
+// =============================================================================
+// Preload API Reference (no require() calls)
+// =============================================================================
+
+const api = window.electronAPI;
+
+// =============================================================================
+// DOM Element References
+// =============================================================================
+
+/** @type {HTMLElement} Table body with one row per account */
+const taskRows = document.getElementById('task-rows');
+
+/** @type {HTMLInputElement} Checkbox for the automatic reload rule */
+const checkAutoReload = document.getElementById('check-auto-reload');
+
+/** @type {HTMLInputElement} Memory limit of the automatic reload rule */
+const inputMemoryLimit = document.getElementById('input-memory-limit');
+
+// =============================================================================
+// Translation
+// =============================================================================
+
+/** @type {Object} Translations loaded from the main process */
+let translations = {};
+
+/**
+ * Retrieves a translated string for the given dot-notation key.
+ *
+ * @param {string} key - Dot-notation translation key, e.g. "taskManager.title"
+ * @param {string} [fallback] - Value to return when the key is not found
+ * @returns {string} The translated string or the fallback / key
+ */
+function t(key, fallback) {
+  let current = translations;
+  for (const part of key.split('.')) {
+    if (current == null || typeof current !== 'object') {
+      return fallback !== undefined ? fallback : key;
+    }
+    current = current[part];
+  }
+  if (typeof current === 'string') {
+    return current;
+  }
+  return fallback !== undefined ? fallback : key;
+}
+
+/**
+ * Applies translations to all elements with a data-i18n attribute.
+ *
+ * @returns {void}
+ */
+function applyTranslations() {
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const translation = t(element.getAttribute('data-i18n'));
+    if (translation !== element.getAttribute('data-i18n')) {
+      element.textContent = translation;
+    }
+  });
+  document.title = t('taskManager.title', 'Task manager');
+}
+
+// =============================================================================
+// Theme
+// =============================================================================
+
+/**
+ * Follows the system dark/light preference.
+ *
+ * @returns {void}
+ */
+function applySystemTheme() {
+  const mq = window.matchMedia('(prefers-color-scheme: dark)');
+  const apply = () => {
+    document.documentElement.setAttribute('data-theme', mq.matches ? 'dark' : 'light');
+  };
+  apply();
+  mq.addEventListener('change', apply);
+}
+
+// =============================================================================
+// Usage Table
+// =============================================================================
+
+/**
+ * Creates a table cell.
+ *
+ * @param {string} text - Cell text
+ * @param {string} [className] - Cell class
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) cell.className = className;
+  return cell;
+}
+
+/**
+ * Creates a small action button.
+ *
+ * @param {string} label - Button text
+ * @param {string} className - Extra button class
+ * @param {boolean} disabled - Whether the button is disabled
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createActionButton(label, className, disabled, onClick) {
+  const button = document.createElement('button');
+  button.className = `btn btn-small ${className}`;
+  button.textContent = label;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Renders the usage of every account and the other processes.
+ *
+ * @param {{accounts: Object[], other: {memoryMB: number, cpu: number}}} usage - Usage from the main process
+ * @returns {void}
+ */
+function renderUsage(usage) {
+  const rows = usage.accounts.map(account => {
+    const row = document.createElement('tr');
+
+    const name = account.loaded
+      ? account.name
+      : `${account.name} (${t('taskManager.notLoaded', 'not loaded')})`;
+    row.appendChild(createCell(name, account.loaded ? 'task-name' : 'task-name task-muted'));
+    row.appendChild(createCell(account.loaded ? `${account.memoryMB} MB` : '—', 'task-number'));
+    row.appendChild(createCell(account.loaded ? `${account.cpu} %` : '—', 'task-number'));
+
+    const actions = document.createElement('div');
+    actions.className = 'task-actions';
+    actions.append(
+      createActionButton(t('taskManager.reload', 'Reload'), 'btn-secondary', !account.loaded,
+        () => api.taskManager.reload(account.accountId)),
+      createActionButton(t('taskManager.kill', 'End process'), 'btn-danger', !account.loaded,
+        () => api.taskManager.kill(account.accountId))
+    );
+    const actionsCell = document.createElement('td');
+    actionsCell.appendChild(actions);
+    row.appendChild(actionsCell);
+
+    return row;
+  });
+
+  const otherRow = document.createElement('tr');
+  otherRow.append(
+    createCell(t('taskManager.otherProcesses', 'Other processes'), 'task-name task-muted'),
+    createCell(`${usage.other.memoryMB} MB`, 'task-number'),
+    createCell(`${usage.other.cpu} %`, 'task-number'),
+    createCell('')
+  );
+
+  taskRows.replaceChildren(...rows, otherRow);
+}
+
+// =============================================================================
+// Automatic Reload Rule
+// =============================================================================
+
+/**
+ * Loads the automatic reload rule into the form.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadRule() {
+  const rule = await api.taskManager.getRule();
+  if (!rule) return;
+
+  checkAutoReload.checked = rule.enabled;
+  inputMemoryLimit.value = rule.limitMB;
+  inputMemoryLimit.disabled = !rule.enabled;
+}
+
+/**
+ * Saves the automatic reload rule; invalid limits are reset to the saved value.
+ *
+ * @returns {Promise<void>}
+ */
+async function saveRule() {
+  inputMemoryLimit.disabled = !checkAutoReload.checked;
+
+  const saved = await api.taskManager.setRule({
+    enabled: checkAutoReload.checked,
+    limitMB: parseInt(inputMemoryLimit.value, 10)
+  });
+  if (!saved) {
+    await loadRule();
+  }
+}
+
+// =============================================================================
+// Event Listeners
+// =============================================================================
+
+checkAutoReload.addEventListener('change', saveRule);
+inputMemoryLimit.addEventListener('change', saveRule);
+
+api.taskManager.onUpdate(renderUsage);
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+applySystemTheme();
+
+(async () => {
+  try {
+    translations = await api.i18n.getTranslations();
+    applyTranslations();
+    await loadRule();
+  } catch (error) {
+    console.error('Error initializing task manager:', error);
+  }
+})();
@@ -0,0 +1,202 @@
+/**
+ * WhatsApp Dual - Workspace Script
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Runs in the page behind the WhatsApp BrowserViews. In side-by-side
+ * mode the only visible part of this page is the gap between the two
+ * panes, so any pointer drag that starts here moves the split divider.
+ * It also paints the account colour frames: one element per pane, of
+ * which only the pixels around the inset view remain visible.
+ * When an account view has crashed, an overlay with a Reload button is
+ * shown in its pane.
+ *
+ * All Electron communication goes through window.electronAPI.layout
+ * and window.electronAPI.recovery exposed by preload-workspace.js.
+ *
+ * IPC Communication:
+ * - Sends: layout:dragDivider, layout:endDrag, recovery:reload
+ * - Receives: layout:update
+ */
+
+// =============================================================================
+// Preload API Reference (no require() calls)
+// =============================================================================
+
+const api = window.electronAPI;
+
+/** @type {HTMLElement} Container for the account colour frames */
+const framesContainer = document.getElementById('frames');
+
+/** @type {HTMLElement} Container for the crash overlays */
+const overlaysContainer = document.getElementById('overlays');
+
+// =============================================================================
+// State
+// =============================================================================
+
+/** @type {boolean} Whether side-by-side mode is active */
+let isSplit = false;
+
+/** @type {number|null} Pending animation frame for drag updates */
+let dragFrame = null;
+
+// =============================================================================
+// Theme
+// =============================================================================
+
+/**
+ * Follows the system dark/light preference.
+ *
+ * @returns {void}
+ */
+function applySystemTheme() {
+  const mq = window.matchMedia('(prefers-color-scheme: dark)');
+  const apply = () => {
+    document.documentElement.setAttribute('data-theme', mq.matches ? 'dark' : 'light');
+  };
+  apply();
+  mq.addEventListener('change', apply);
+}
+
+// =============================================================================
+// Divider Dragging
+// =============================================================================
+
+/**
+ * Starts a divider drag and captures the pointer so the drag keeps
+ * reporting positions while the cursor moves over the views.
+ *
+ * @param {PointerEvent} event - The pointerdown event
+ * @returns {void}
+ */
+function startDrag(event) {
+  if (!isSplit || event.button !== 0 || event.target !== document.body) return;
+
+  document.body.setPointerCapture(event.pointerId);
+  document.body.classList.add('dragging');
+}
+
+/**
+ * Reports the pointer position to the main process, at most once per frame.
+ *
+ * @param {PointerEvent} event - The pointermove event
+ * @returns {void}
+ */
+function moveDrag(event) {
+  if (!document.body.hasPointerCapture(event.pointerId)) return;
+
+  const position = { x: event.clientX, y: event.clientY };
+  if (dragFrame !== null) cancelAnimationFrame(dragFrame);
+  dragFrame = requestAnimationFrame(() => {
+    dragFrame = null;
+    api.layout.dragDivider(position);
+  });
+}
+
+/**
+ * Ends the divider drag so the main process can persist the ratio.
+ *
+ * @param {PointerEvent} event - The pointerup/pointercancel event
+ * @returns {void}
+ */
+function endDrag(event) {
+  if (!document.body.hasPointerCapture(event.pointerId)) return;
+
+  document.body.releasePointerCapture(event.pointerId);
+  document.body.classList.remove('dragging');
+  api.layout.endDrag();
+}
+
+// =============================================================================
+// Account Colour Frames
+// =============================================================================
+
+/**
+ * Draws one coloured element under each account pane.
+ *
+ * @param {{x: number, y: number, width: number, height: number, color: string}[]} frames - Pane frames
+ * @returns {void}
+ */
+function renderFrames(frames) {
+  framesContainer.replaceChildren(...frames.map(frame => {
+    const element = document.createElement('div');
+    element.className = 'account-frame';
+    element.style.left = `${frame.x}px`;
+    element.style.top = `${frame.y}px`;
+    element.style.width = `${frame.width}px`;
+    element.style.height = `${frame.height}px`;
+    element.style.backgroundColor = frame.color;
+    return element;
+  }));
+}
+
+// =============================================================================
+// Crash Overlays
+// =============================================================================
+
+/**
+ * Draws a Reload overlay over each pane whose account view crashed.
+ *
+ * The texts are translated by the main process.
+ *
+ * @param {{accountId: string, x: number, y: number, width: number, height: number, title: string, message: string, action: string}[]} overlays - Crashed panes
+ * @returns {void}
+ */
+function renderOverlays(overlays) {
+  overlaysContainer.replaceChildren(...overlays.map(overlay => {
+    const element = document.createElement('div');
+    element.className = 'crash-overlay';
+    element.style.left = `${overlay.x}px`;
+    element.style.top = `${overlay.y}px`;
+    element.style.width = `${overlay.width}px`;
+    element.style.height = `${overlay.height}px`;
+
+    const title = document.createElement('p');
+    title.className = 'crash-overlay-title';
+    title.textContent = overlay.title;
+
+    const message = document.createElement('p');
+    message.className = 'crash-overlay-message';
+    message.textContent = overlay.message;
+
+    const button = document.createElement('button');
+    button.textContent = overlay.action;
+    button.addEventListener('click', () => api.recovery.reload(overlay.accountId));
+
+    element.append(title, message, button);
+    return element;
+  }));
+}
+
+// =============================================================================
+// Event Listeners
+// =============================================================================
+
+document.body.addEventListener('pointerdown', startDrag);
+document.body.addEventListener('pointermove', moveDrag);
+document.body.addEventListener('pointerup', endDrag);
+document.body.addEventListener('pointercancel', endDrag);
+
+/**
+ * Handle layout updates from the main process.
+ *
+ * Sets the drag cursor for the current orientation and redraws the
+ * account colour frames and crash overlays.
+ */
+api.layout.onUpdate((state) => {
+  isSplit = state.split;
+  document.body.classList.toggle('split-horizontal', state.split && state.orientation === 'horizontal');
+  document.body.classList.toggle('split-vertical', state.split && state.orientation === 'vertical');
+  renderFrames(state.frames || []);
+  renderOverlays(state.overlays || []);
+});
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+applySystemTheme();
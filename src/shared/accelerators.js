@@ -0,0 +1,103 @@
+/**
+ * WhatsApp Dual - Accelerator Helpers
+ *
+ * @author 686f6c61
+ * @license MIT
+ * @repository https://github.com/686f6c61/whatsapp-dual
+ * @version 1.3.0
+ *
+ * Checks and compares keyboard shortcut strings ("CmdOrCtrl+Shift+S").
+ * Used by the keymap (keymap.js) and the global shortcuts
+ * (global-shortcuts.js) in the main process, and by the shortcut editor
+ * of the settings window, which loads this file with a <script> tag
+ * before js/settings.js.
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** @type {Object.<string, string>} Lowercase modifier names by accepted spelling */
+const ACCELERATOR_MODIFIERS = {
+  ctrl: 'ctrl',
+  control: 'ctrl',
+  cmd: 'command',
+  command: 'command',
+  super: 'command',
+  meta: 'command',
+  alt: 'alt',
+  option: 'alt',
+  altgr: 'altgr',
+  shift: 'shift'
+};
+
+/** @type {string[]} Modifiers of which a shortcut needs at least one */
+const REQUIRED_MODIFIERS = ['ctrl', 'command', 'alt', 'altgr'];
+
+/** @type {RegExp} Function keys, which work as shortcuts without a modifier */
+const FUNCTION_KEY_PATTERN = /^f([1-9]|1[0-9]|2[0-4])$/;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Splits an accelerator into its lowercase modifiers and key.
+ *
+ * CmdOrCtrl becomes "command" on macOS and "ctrl" elsewhere.
+ *
+ * @param {string} accelerator - Accelerator, e.g. "CmdOrCtrl+Shift+S"
+ * @returns {{modifiers: string[], key: string}} Parts
+ */
+function parseAccelerator(accelerator) {
+  const isMac = typeof process !== 'undefined' && process.platform
+    ? process.platform === 'darwin'
+    : navigator.platform.startsWith('Mac');
+
+  const parts = accelerator.toLowerCase().split(/\+(?!$)/);
+  const key = parts.pop();
+  const modifiers = parts.map(part => {
+    if (part === 'cmdorctrl' || part === 'commandorcontrol') return isMac ? 'command' : 'ctrl';
+    return ACCELERATOR_MODIFIERS[part] || part;
+  });
+  return { modifiers, key };
+}
+
+/**
+ * Normalizes an accelerator for comparison, so "CmdOrCtrl+Shift+S" and
+ * "Shift+Ctrl+S" are recognised as the same combination.
+ *
+ * @param {string} accelerator - Accelerator
+ * @returns {string} Lowercase accelerator with sorted modifiers
+ */
+function normalizeAccelerator(accelerator) {
+  const { modifiers, key } = parseAccelerator(accelerator);
+  return [...modifiers.sort(), key].join('+');
+}
+
+/**
+ * Checks that an accelerator cannot swallow plain typing.
+ *
+ * Ctrl, Alt or Super/Command is required, except for F-keys. Shift on
+ * its own is not enough: "Shift+A" would take capital letters away from
+ * WhatsApp (or, as a global shortcut, from every application).
+ *
+ * @param {string} accelerator - Accelerator
+ * @returns {boolean} True if the accelerator is safe to register
+ */
+function hasRequiredModifier(accelerator) {
+  const { modifiers, key } = parseAccelerator(accelerator);
+  return FUNCTION_KEY_PATTERN.test(key) || modifiers.some(modifier => REQUIRED_MODIFIERS.includes(modifier));
+}
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+// Not defined when loaded by a renderer page
+if (typeof module !== 'undefined') {
+  module.exports = {
+    normalizeAccelerator,
+    hasRequiredModifier
+  };
+}
@@ -11,9 +11,11 @@
  *
  * Constants are organized into logical groups:
  * - URL: WhatsApp Web endpoint
- * - ACCOUNTS: Account configurations with isolated session partitions
+ * - ACCOUNTS: Built-in account configurations with isolated session partitions
+ * - ACCOUNT_COLORS: Default colour palette used to tell accounts apart
  * - WINDOW_CONFIG: Default window dimensions
- * - SHORTCUTS: Global keyboard accelerators
+ * - SPLIT_CONFIG: Side-by-side layout limits
+ * - FRAME_CONFIG: Size of the account colour frame
  *
  * Session Partition System:
  * Each account uses a persistent partition (persist:name) which ensures:
@@ -38,7 +40,11 @@ const WHATSAPP_URL = 'https://web.whatsapp.com';
 // =============================================================================
 
 /**
- * Account definitions for Personal and Business WhatsApp.
+ * Built-in account definitions for Personal and Business WhatsApp.
+ *
+ * These seed the persisted account registry (src/main/accounts.js) on
+ * first run. Users can add further accounts at runtime; code that needs
+ * the full list must read the registry, not this constant.
  *
  * Each account includes:
  * - id: Unique identifier used for switching and storage
@@ -65,6 +71,27 @@ const ACCOUNTS = {
   }
 };
 
+/**
+ * Default account colours. Each account keeps the palette slot stored
+ * in its paletteIndex (see accounts.js), so its colour does not change
+ * when accounts are reordered or removed.
+ *
+ * Used wherever accounts need to be told apart at a glance, such as the
+ * per-account dots on the tray icon badge.
+ *
+ * @constant {string[]}
+ */
+const ACCOUNT_COLORS = [
+  '#25d366', // WhatsApp green
+  '#3478f6', // Blue
+  '#ff9f0a', // Orange
+  '#af52de', // Purple
+  '#ff375f', // Pink
+  '#00c7be', // Teal
+  '#ffd60a', // Yellow
+  '#a2845e'  // Brown
+];
+
 // =============================================================================
 // Window Configuration
 // =============================================================================
@@ -89,29 +116,41 @@ const WINDOW_CONFIG = {
 };
 
 // =============================================================================
-// Keyboard Shortcuts
+// Split Layout Configuration
 // =============================================================================
 
 /**
- * Global keyboard shortcuts.
+ * Side-by-side layout limits.
  *
- * Uses Electron's accelerator format with CmdOrCtrl for cross-platform
- * compatibility (Cmd on macOS, Ctrl on Windows/Linux).
+ * The split ratio is the share of the content area given to the first
+ * pane. It is clamped so neither pane can be dragged out of sight.
+ *
+ * @constant {Object}
+ * @property {number} dividerSize - Width of the draggable divider (6px)
+ * @property {number} defaultRatio - Initial split ratio (0.5)
+ * @property {number} minRatio - Smallest allowed ratio (0.2)
+ * @property {number} maxRatio - Largest allowed ratio (0.8)
+ */
+const SPLIT_CONFIG = {
+  dividerSize: 6,
+  defaultRatio: 0.5,
+  minRatio: 0.2,
+  maxRatio: 0.8
+};
+
+/**
+ * Account colour frame sizes.
  *
- * These shortcuts are registered globally and work even when
- * the app window is not focused.
+ * The frame is the part of the account's pane left uncovered by its
+ * view, so these many pixels are reserved around (or above) the view.
  *
  * @constant {Object}
- * @property {string} PERSONAL - Switch to Personal account (Ctrl+1)
- * @property {string} BUSINESS - Switch to Business account (Ctrl+2)
- * @property {string} SETTINGS - Open settings window (Ctrl+,)
- * @property {string} QUIT - Quit application (Ctrl+Q)
+ * @property {number} stripSize - Height of the top strip (4px)
+ * @property {number} borderSize - Width of the border on every side (3px)
  */
-const SHORTCUTS = {
-  PERSONAL: 'CmdOrCtrl+1',
-  BUSINESS: 'CmdOrCtrl+2',
-  SETTINGS: 'CmdOrCtrl+,',
-  QUIT: 'CmdOrCtrl+Q'
+const FRAME_CONFIG = {
+  stripSize: 4,
+  borderSize: 3
 };
 
 // =============================================================================
@@ -121,6 +160,8 @@ const SHORTCUTS = {
 module.exports = {
   WHATSAPP_URL,
   ACCOUNTS,
+  ACCOUNT_COLORS,
   WINDOW_CONFIG,
-  SHORTCUTS
+  SPLIT_CONFIG,
+  FRAME_CONFIG
 };